@@ -0,0 +1,190 @@
+/**
+ * Attachments
+ * Images, files and voice notes are uploaded to the gateway, checked against the
+ * per-type limits, checksummed and written to the blob store; images also get a
+ * thumbnail. The upload answers with an attachment token (see auth.js) that the
+ * client sends with the message - the shard stores the metadata from the token on
+ * the message row and never touches the bytes. Downloads go through the gateway on
+ * URLs signed with the shared secret, added to messages as the gateway returns them.
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { signAttachmentToken, signValue } = require('./auth');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ service: 'gateway', component: 'attachments' });
+
+const MB = 1024 * 1024;
+
+// Allowed MIME types (null = any) and size limit per attachment type
+const ATTACHMENT_TYPES = {
+  image: { max_bytes: 10 * MB, mime_types: ['image/jpeg', 'image/png', 'image/gif', 'image/webp'] },
+  voice: { max_bytes: 10 * MB, mime_types: ['audio/ogg', 'audio/webm', 'audio/mpeg', 'audio/mp4', 'audio/wav'] },
+  file: { max_bytes: 25 * MB, mime_types: null }
+};
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(ATTACHMENT_TYPES).map(t => t.max_bytes));
+
+// sharp's format names for the image MIME types
+const IMAGE_FORMATS = { jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp' };
+
+const THUMBNAIL_SIZE = 320;
+const URL_TTL_SECONDS = 3600;
+const VARIANTS = ['original', 'thumbnail'];
+
+// Rejected uploads - answered with `status` and the message
+class AttachmentError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function blobKey(id, variant) {
+  return `attachments/${id}/${variant}`;
+}
+
+// Keep the base name only, without control characters
+function cleanFilename(filename, fallback) {
+  const name = String(filename || '').split(/[\\/]/).pop().replace(/[\x00-\x1f\x7f"]/g, '').trim();
+  return (name || fallback).slice(0, 255);
+}
+
+class AttachmentService {
+  constructor(blobStore, metrics) {
+    this.blobStore = blobStore;
+    this.uploads = metrics.counter('gateway_attachment_uploads_total', 'Attachments stored, by type', ['type']);
+    this.uploadBytes = metrics.counter('gateway_attachment_upload_bytes_total', 'Bytes of attachments stored (originals), by type', ['type']);
+  }
+
+  /**
+   * Validate and store an upload
+   * @param {Object} upload - { userId, type, mimeType, filename, buffer }
+   * @returns {Object} { attachment, attachment_token } - the attachment with signed URLs
+   */
+  async upload({ userId, type, mimeType, filename, buffer }) {
+    const limits = ATTACHMENT_TYPES[type];
+    if (!limits) {
+      throw new AttachmentError(400, `type must be one of ${Object.keys(ATTACHMENT_TYPES).join(', ')}`);
+    }
+    if (!buffer || buffer.length === 0) {
+      throw new AttachmentError(400, 'Empty upload');
+    }
+    if (buffer.length > limits.max_bytes) {
+      throw new AttachmentError(413, `${type} attachments are limited to ${limits.max_bytes / MB} MB`);
+    }
+
+    let mime = String(mimeType || 'application/octet-stream').split(';')[0].trim().toLowerCase();
+    if (limits.mime_types && !limits.mime_types.includes(mime)) {
+      throw new AttachmentError(415, `${mime} is not allowed for ${type} attachments`);
+    }
+
+    const id = crypto.randomUUID();
+    const attachment = {
+      id,
+      type,
+      mime_type: mime,
+      size: buffer.length,
+      checksum: `sha256:${crypto.createHash('sha256').update(buffer).digest('hex')}`,
+      filename: cleanFilename(filename, `${type}-${id.slice(0, 8)}`),
+      thumbnail: false
+    };
+
+    let thumbnail = null;
+    if (type === 'image') {
+      // Trust the decoded format over the declared one, and refuse what doesn't decode
+      let metadata;
+      try {
+        metadata = await sharp(buffer).metadata();
+      } catch (error) {
+        throw new AttachmentError(415, 'Not a readable image');
+      }
+      mime = IMAGE_FORMATS[metadata.format];
+      if (!mime) {
+        throw new AttachmentError(415, `${metadata.format} images are not allowed`);
+      }
+      attachment.mime_type = mime;
+      attachment.width = metadata.width;
+      attachment.height = metadata.height;
+
+      thumbnail = await sharp(buffer)
+        .rotate()
+        .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 70 })
+        .toBuffer();
+      attachment.thumbnail = true;
+    }
+
+    const metadata = { filename: attachment.filename, uploaded_by: String(userId) };
+    await this.blobStore.put(blobKey(id, 'original'), buffer, { contentType: mime, metadata });
+    if (thumbnail) {
+      await this.blobStore.put(blobKey(id, 'thumbnail'), thumbnail, { contentType: 'image/webp', metadata });
+    }
+
+    this.uploads.inc({ type });
+    this.uploadBytes.inc({ type }, buffer.length);
+    log.info(`Stored ${type} attachment ${id} (${buffer.length} bytes) for user ${userId}`);
+
+    return {
+      attachment: this.withUrls(attachment),
+      attachment_token: signAttachmentToken(userId, attachment)
+    };
+  }
+
+  // Path (on the gateway) of a download URL that is valid until `expires` (unix seconds)
+  signedPath(id, variant, expires) {
+    const signature = signValue(`${id}/${variant}/${expires}`);
+    return `/api/attachments/${id}/${variant}?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Attachment metadata plus signed download paths, valid for URL_TTL_SECONDS
+   */
+  withUrls(attachment) {
+    const expires = Math.floor(Date.now() / 1000) + URL_TTL_SECONDS;
+    return {
+      ...attachment,
+      url: this.signedPath(attachment.id, 'original', expires),
+      thumbnail_url: attachment.thumbnail ? this.signedPath(attachment.id, 'thumbnail', expires) : null,
+      url_expires_at: new Date(expires * 1000).toISOString()
+    };
+  }
+
+  /**
+   * Sign the attachment URLs of messages on their way to a client
+   */
+  signMessages(messages) {
+    return messages.map(message => message.attachment
+      ? { ...message, attachment: this.withUrls(message.attachment) }
+      : message);
+  }
+
+  /**
+   * Check a download URL and open the blob
+   * @returns {Object} { stream, contentType, size, filename, expires }
+   */
+  async open(id, variant, expires, signature) {
+    if (!VARIANTS.includes(variant)) {
+      throw new AttachmentError(404, 'Attachment not found');
+    }
+
+    const expected = signValue(`${id}/${variant}/${expires}`);
+    const valid = typeof signature === 'string' &&
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    if (!valid) {
+      throw new AttachmentError(403, 'Invalid download signature');
+    }
+    if (!(Number(expires) > Date.now() / 1000)) {
+      throw new AttachmentError(403, 'Download link expired');
+    }
+
+    const blob = await this.blobStore.get(blobKey(id, variant));
+    if (!blob) {
+      throw new AttachmentError(404, 'Attachment not found');
+    }
+    return { ...blob, filename: blob.metadata.filename, expires: Number(expires) };
+  }
+}
+
+module.exports = { AttachmentService, AttachmentError, ATTACHMENT_TYPES, MAX_UPLOAD_BYTES };
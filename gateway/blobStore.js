@@ -0,0 +1,148 @@
+/**
+ * Blob Storage
+ * Where attachment bytes live. Every backend has the same four methods:
+ *   init()                             - create the directory / bucket if needed
+ *   put(key, buffer, { contentType, metadata })
+ *   get(key)                           - { stream, contentType, size, metadata } or null
+ *   delete(key)
+ * BLOB_STORE picks the backend: `local` (default, files under BLOB_DIR) or `s3` for any
+ * S3-compatible service - AWS, or MinIO locally (`docker-compose --profile s3 up`).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  S3Client,
+  HeadBucketCommand,
+  CreateBucketCommand,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ service: 'gateway', component: 'blobs' });
+
+class LocalBlobStore {
+  constructor(root) {
+    this.root = path.resolve(root);
+  }
+
+  async init() {
+    await fs.promises.mkdir(this.root, { recursive: true });
+    log.info(`Storing blobs under ${this.root}`);
+  }
+
+  // Keys are made by the gateway, but never let one point outside the root
+  pathFor(key) {
+    const file = path.resolve(this.root, key);
+    if (!file.startsWith(`${this.root}${path.sep}`)) {
+      throw new Error(`Invalid blob key: ${key}`);
+    }
+    return file;
+  }
+
+  async put(key, buffer, { contentType, metadata = {} }) {
+    const file = this.pathFor(key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer);
+    // Sidecar with what S3 would keep as object metadata
+    await fs.promises.writeFile(`${file}.meta.json`, JSON.stringify({ content_type: contentType, size: buffer.length, metadata }));
+  }
+
+  async get(key) {
+    const file = this.pathFor(key);
+    let meta;
+    try {
+      meta = JSON.parse(await fs.promises.readFile(`${file}.meta.json`, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    return { stream: fs.createReadStream(file), contentType: meta.content_type, size: meta.size, metadata: meta.metadata };
+  }
+
+  async delete(key) {
+    const file = this.pathFor(key);
+    await fs.promises.rm(file, { force: true });
+    await fs.promises.rm(`${file}.meta.json`, { force: true });
+  }
+}
+
+class S3BlobStore {
+  constructor({ endpoint, region, bucket, accessKeyId, secretAccessKey }) {
+    this.bucket = bucket;
+    this.client = new S3Client({
+      endpoint,
+      region,
+      // MinIO and most self-hosted stores only serve path-style URLs
+      forcePathStyle: Boolean(endpoint),
+      credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+    });
+  }
+
+  async init() {
+    try {
+      await this.client.send(new HeadBucketCommand({ Bucket: this.bucket }));
+    } catch (error) {
+      if (error.$metadata?.httpStatusCode !== 404) throw error;
+      await this.client.send(new CreateBucketCommand({ Bucket: this.bucket }));
+      log.info(`Created bucket ${this.bucket}`);
+    }
+    log.info(`Storing blobs in bucket ${this.bucket}`);
+  }
+
+  async put(key, buffer, { contentType, metadata = {} }) {
+    // Object metadata travels as HTTP headers - ASCII only
+    const encoded = {};
+    for (const [name, value] of Object.entries(metadata)) {
+      encoded[name] = encodeURIComponent(String(value));
+    }
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType,
+      ContentLength: buffer.length,
+      Metadata: encoded
+    }));
+  }
+
+  async get(key) {
+    let object;
+    try {
+      object = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+
+    const metadata = {};
+    for (const [name, value] of Object.entries(object.Metadata || {})) {
+      metadata[name] = decodeURIComponent(value);
+    }
+    return { stream: object.Body, contentType: object.ContentType, size: object.ContentLength, metadata };
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+}
+
+/**
+ * Backend chosen by BLOB_STORE, configured from the environment
+ */
+function createBlobStore(env = process.env) {
+  if (env.BLOB_STORE === 's3') {
+    return new S3BlobStore({
+      endpoint: env.S3_ENDPOINT,
+      region: env.S3_REGION || 'us-east-1',
+      bucket: env.S3_BUCKET || 'attachments',
+      accessKeyId: env.S3_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY
+    });
+  }
+  return new LocalBlobStore(env.BLOB_DIR || './data/blobs');
+}
+
+module.exports = { createBlobStore, LocalBlobStore, S3BlobStore };
@@ -0,0 +1,45 @@
+/**
+ * Cache Event Feed
+ * Shards publish every cache hit, miss, write and invalidation on the bus's
+ * `cache-events` channel (see shared/shard-core/cache.js). The gateway subscribes
+ * once and hands each event to the WebSocket connections watching the cache monitor.
+ */
+
+const redis = require('redis');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ service: 'gateway', component: 'cache-events' });
+
+const CACHE_EVENTS_CHANNEL = 'cache-events';
+
+class CacheEventFeed {
+  constructor(busUrl) {
+    this.subscriber = redis.createClient({ url: busUrl });
+    this.subscriber.on('error', (err) => log.error('Cache event feed error', { error: err.message }));
+    this.listeners = new Set();
+  }
+
+  async start() {
+    await this.subscriber.connect();
+    await this.subscriber.subscribe(CACHE_EVENTS_CHANNEL, raw => {
+      let event;
+      try {
+        event = JSON.parse(raw);
+      } catch (error) {
+        return log.warn('Ignoring malformed cache event', { error: error.message });
+      }
+      this.listeners.forEach(listener => listener(event));
+    });
+    log.info(`Subscribed to ${CACHE_EVENTS_CHANNEL}`);
+  }
+
+  /**
+   * Call `listener` with every event until the returned function is called
+   */
+  listen(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+}
+
+module.exports = { CacheEventFeed };
@@ -0,0 +1,180 @@
+/**
+ * Rate Limiting
+ * Token buckets in Redis, so every gateway instance draws from the same buckets.
+ * Each limited action has a bucket per user and a bucket per client IP; a bucket
+ * holds `capacity` tokens and refills at `per_second`. The check is a single Lua
+ * script that refills, takes a token and reports the wait, timed by Redis itself
+ * so gateway clocks don't matter. If Redis is unreachable requests are let through
+ * rather than turning a cache outage into a full outage.
+ * Limits are only applied here, so the shards' ports must stay unpublished (docker-compose.yml)
+ * for every client request and socket to pass through the gateway.
+ */
+
+const redis = require('redis');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ service: 'gateway', component: 'ratelimit' });
+
+/**
+ * Limits by action: "METHOD /route/:pattern" for HTTP, "ws:<type>" for WebSocket messages.
+ * '*' applies to every HTTP route without its own entry. Override any of them with the
+ * RATE_LIMITS env var (JSON, same shape, merged per action and scope).
+ */
+const DEFAULT_LIMITS = {
+  '*': { user: { capacity: 120, per_second: 10 }, ip: { capacity: 300, per_second: 25 } },
+  'POST /api/auth/signup': { ip: { capacity: 5, per_second: 0.05 } },
+  'POST /api/auth/login': { ip: { capacity: 10, per_second: 0.2 } },
+  'POST /api/messages': { user: { capacity: 30, per_second: 2 }, ip: { capacity: 60, per_second: 5 } },
+  'POST /api/groups/:groupId/messages': { user: { capacity: 30, per_second: 2 }, ip: { capacity: 60, per_second: 5 } },
+  'GET /api/search': { user: { capacity: 10, per_second: 0.5 } },
+  'POST /api/attachments': { user: { capacity: 10, per_second: 0.2 }, ip: { capacity: 30, per_second: 1 } },
+  'ws:send_message': { user: { capacity: 30, per_second: 2 }, ip: { capacity: 60, per_second: 5 } },
+  'ws:typing_start': { user: { capacity: 20, per_second: 1 } }
+};
+
+// KEYS[1] bucket; ARGV capacity, tokens per ms -> { allowed, retry_after_ms, tokens_left }
+const TAKE_TOKEN_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(bucket[1]) or capacity
+local ts = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate)
+local allowed = 0
+local retry = 0
+if tokens >= 1 then
+  tokens = tokens - 1
+  allowed = 1
+else
+  retry = math.ceil((1 - tokens) / rate)
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / rate) + 1000)
+return { allowed, retry, math.floor(tokens) }
+`;
+
+function loadLimits() {
+  const limits = JSON.parse(JSON.stringify(DEFAULT_LIMITS));
+  if (!process.env.RATE_LIMITS) {
+    return limits;
+  }
+
+  try {
+    const overrides = JSON.parse(process.env.RATE_LIMITS);
+    for (const [action, scopes] of Object.entries(overrides)) {
+      limits[action] = { ...limits[action], ...scopes };
+    }
+  } catch (error) {
+    log.error('Ignoring invalid RATE_LIMITS', { error: error.message });
+  }
+  return limits;
+}
+
+// "POST /api/groups/:groupId/messages" -> matcher for the method and path
+function compileRoute(action) {
+  const [method, pattern] = action.split(' ');
+  const regex = new RegExp(`^${pattern.replace(/:[^/]+/g, '[^/]+')}/?$`);
+  return { action, method, regex };
+}
+
+class RateLimiter {
+  constructor(redisUrl, metrics) {
+    this.limits = loadLimits();
+    this.routes = Object.keys(this.limits)
+      .filter(action => action.includes(' '))
+      .map(compileRoute);
+
+    // Fail fast instead of queueing checks while Redis is away
+    this.client = redis.createClient({
+      url: redisUrl,
+      disableOfflineQueue: true,
+      scripts: {
+        takeToken: redis.defineScript({
+          NUMBER_OF_KEYS: 1,
+          SCRIPT: TAKE_TOKEN_SCRIPT,
+          transformArguments: (key, capacity, ratePerMs) => [key, String(capacity), String(ratePerMs)]
+        })
+      }
+    });
+    this.client.on('error', (err) => log.error('Rate limit Redis error', { error: err.message }));
+
+    this.throttled = metrics.counter('gateway_rate_limited_total', 'Requests and WebSocket messages rejected by a rate limit', ['action', 'scope']);
+  }
+
+  async connect() {
+    await this.client.connect();
+    log.info('Connected to rate limit Redis');
+  }
+
+  // Configured action for an HTTP request, or '*'
+  actionFor(req) {
+    const route = this.routes.find(r => r.method === req.method && r.regex.test(req.path));
+    return route ? route.action : '*';
+  }
+
+  /**
+   * Take one token from each of the action's buckets that applies
+   * @param {string} action - limit name
+   * @param {Object} subjects - { user?, ip? }; scopes without a subject are skipped
+   * @returns {Object} { allowed, scope, retry_after_ms }
+   */
+  async take(action, subjects) {
+    const limits = this.limits[action] || {};
+
+    for (const scope of ['user', 'ip']) {
+      const limit = limits[scope];
+      if (!limit || !subjects[scope]) continue;
+
+      let result;
+      try {
+        result = await this.client.takeToken(
+          `ratelimit:${action}:${scope}:${subjects[scope]}`,
+          limit.capacity,
+          limit.per_second / 1000
+        );
+      } catch (error) {
+        log.warn(`Rate limit check skipped for ${action}`, { error: error.message });
+        continue;
+      }
+
+      const [allowed, retryAfterMs] = result;
+      if (!allowed) {
+        this.throttled.inc({ action, scope });
+        return { allowed: false, scope, retry_after_ms: retryAfterMs };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Express middleware, after authentication: public routes (login, signup) are limited
+   * per IP only, everything else per user and per IP. Service tokens are not limited.
+   */
+  middleware() {
+    return async (req, res, next) => {
+      if (req.user && req.user.role === 'service') {
+        return next();
+      }
+
+      const action = this.actionFor(req);
+      const result = await this.take(action, { user: req.user && req.user.id, ip: req.ip });
+      if (result.allowed) {
+        return next();
+      }
+
+      const retryAfter = Math.max(1, Math.ceil(result.retry_after_ms / 1000));
+      log.warn(`Throttled ${action} per ${result.scope}`, { user_id: req.user && req.user.id, ip: req.ip });
+      res.set('Retry-After', String(retryAfter));
+      res.status(429).json({
+        error: 'Too many requests',
+        details: `Rate limit for ${action} exceeded (per ${result.scope})`,
+        retry_after: retryAfter
+      });
+    };
+  }
+}
+
+module.exports = { RateLimiter, DEFAULT_LIMITS };
@@ -0,0 +1,395 @@
+/**
+ * Resharding Coordinator
+ * Moves a user or a hash range between shards while traffic keeps flowing:
+ * dual-write → copy → cutover (flip routing) → cleanup, with a rollback path.
+ * Jobs are saved in the bus Redis (`resharding:jobs`) on every step, so a restarted
+ * gateway still knows which migrations it left half-done and can roll them back.
+ */
+
+const crypto = require('crypto');
+const redis = require('redis');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ service: 'gateway', component: 'resharding' });
+
+const RING_SIZE = 2 ** 32;
+const JOBS_KEY = 'resharding:jobs';
+const FINISHED_STATUSES = ['completed', 'failed', 'rolled_back'];
+
+class ReshardingCoordinator {
+  constructor(shards, routingTable, makeShardRequest, busUrl) {
+    this.shards = shards;
+    this.routingTable = routingTable;
+    this.request = makeShardRequest;
+    this.jobs = new Map();
+    this.client = redis.createClient({ url: busUrl });
+    this.client.on('error', (err) => log.error('Resharding Redis error', { error: err.message }));
+  }
+
+  /**
+   * Load saved jobs. One that was mid-flight when its gateway stopped cannot resume -
+   * it is marked failed so it can be rolled back.
+   */
+  async connect() {
+    await this.client.connect();
+    const saved = await this.client.hGetAll(JOBS_KEY);
+
+    for (const json of Object.values(saved)) {
+      const job = JSON.parse(json);
+      this.jobs.set(job.id, job);
+      if (!FINISHED_STATUSES.includes(job.status) && job.status !== 'cutover_complete') {
+        job.error = `Gateway restarted while the migration was ${job.status}`;
+        await this.setStatus(job, 'failed');
+      }
+    }
+    log.info(`Loaded ${this.jobs.size} resharding job(s)`);
+  }
+
+  async saveJob(job) {
+    job.updated_at = new Date().toISOString();
+    await this.client.hSet(JOBS_KEY, job.id, JSON.stringify(job));
+  }
+
+  getShard(shardId) {
+    const shard = this.shards.find(s => s.id === parseInt(shardId));
+    if (!shard) {
+      throw new Error(`Unknown shard ${shardId}`);
+    }
+    return shard;
+  }
+
+  /**
+   * Validate a request and start a migration job in the background
+   */
+  start({ user_id, hash_start, hash_end, target_shard, auto_cleanup = true }) {
+    const target = this.getShard(target_shard);
+    let selector;
+    let sources;
+
+    if (user_id !== undefined) {
+      const sourceId = this.routingTable.resolve(user_id);
+      if (sourceId === target.id) {
+        throw new Error(`User ${user_id} already lives on shard ${target.id}`);
+      }
+      selector = { user_ids: [String(user_id)] };
+      sources = [this.getShard(sourceId)];
+    } else if (hash_start !== undefined && hash_end !== undefined) {
+      const start = Number(hash_start);
+      const end = Number(hash_end);
+      if (!(start >= 0 && end <= RING_SIZE && start < end)) {
+        throw new Error(`Hash range must satisfy 0 <= start < end <= ${RING_SIZE}`);
+      }
+      // Any other shard may currently hold users from the range
+      selector = { hash_range: { start, end } };
+      sources = this.shards.filter(s => s.id !== target.id);
+    } else {
+      throw new Error('Provide user_id or hash_start/hash_end');
+    }
+
+    const active = [...this.jobs.values()].find(j => !FINISHED_STATUSES.includes(j.status));
+    if (active) {
+      throw new Error(`Migration ${active.id} is still ${active.status}`);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      selector,
+      target_shard: target.id,
+      source_shards: sources.map(s => s.id),
+      auto_cleanup,
+      status: 'pending',
+      user_ids: {}, // sourceShardId -> [userIds]
+      progress: { users_copied: 0, messages_copied: 0, users_purged: 0, messages_purged: 0 },
+      previous_ranges: this.routingTable.ranges.slice(),
+      previous_user_routes: {},
+      routing_flipped: false,
+      started_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+      error: null
+    };
+    this.jobs.set(job.id, job);
+
+    this.run(job).catch(async error => {
+      job.error = error.message;
+      log.error(`Migration ${job.id} failed`, { error: error.message });
+      await this.setStatus(job, 'failed').catch(saveError => {
+        log.error(`Error saving migration ${job.id}`, { error: saveError.message });
+      });
+    });
+
+    return job;
+  }
+
+  async setStatus(job, status) {
+    job.status = status;
+    log.info(`Migration ${job.id}: ${status}`);
+    await this.saveJob(job);
+  }
+
+  selectorQuery(selector) {
+    return selector.user_ids
+      ? `user_ids=${selector.user_ids.join(',')}`
+      : `hash_start=${selector.hash_range.start}&hash_end=${selector.hash_range.end}`;
+  }
+
+  async run(job) {
+    const target = this.getShard(job.target_shard);
+    const sources = job.source_shards.map(id => this.getShard(id));
+
+    // 1. Find the users each source shard holds
+    await this.setStatus(job, 'planning');
+    for (const source of sources) {
+      const data = await this.request(source, 'GET', `/api/admin/resharding/users?${this.selectorQuery(job.selector)}`);
+      job.user_ids[source.id] = data.user_ids || [];
+    }
+    if (job.selector.user_ids && Object.values(job.user_ids).flat().length === 0) {
+      throw new Error(`User ${job.selector.user_ids[0]} not found on shard ${job.source_shards[0]}`);
+    }
+
+    // 2. Dual-write: new messages on the source are forwarded to the target from now on
+    await this.setStatus(job, 'dual_write');
+    for (const source of sources) {
+      await this.startForward(source, target, job.id, job.selector);
+    }
+
+    // 3. Copy existing rows page by page
+    await this.setStatus(job, 'copying');
+    for (const source of sources) {
+      await this.copyRows(source, target, job.user_ids[source.id], job);
+    }
+
+    // 4. Cutover: flip routing, pick up users created in a moved range since planning,
+    //    then sweep once more for stragglers
+    await this.setStatus(job, 'cutover');
+    await this.flipRouting(job);
+    for (const source of sources) {
+      await this.refreshUsers(job, source);
+      await this.copyRows(source, target, job.user_ids[source.id], job);
+    }
+    await this.setStatus(job, 'cutover_complete');
+
+    if (job.auto_cleanup) {
+      await this.cleanup(job);
+    }
+  }
+
+  async flipRouting(job) {
+    const userIds = Object.values(job.user_ids).flat();
+    this.rememberRoutes(job, userIds);
+    // Saved before the flip - a rollback restores routing even if the gateway stops halfway through it
+    job.routing_flipped = true;
+    await this.saveJob(job);
+
+    if (job.selector.hash_range) {
+      await this.routingTable.setRange(job.selector.hash_range, job.target_shard);
+    }
+    // Explicit user overrides win over older range overrides pointing elsewhere
+    await this.routingTable.setUsers(userIds, job.target_shard);
+  }
+
+  rememberRoutes(job, userIds) {
+    userIds.forEach(id => {
+      job.previous_user_routes[id] = this.routingTable.users.has(id) ? this.routingTable.users.get(id) : null;
+    });
+  }
+
+  /**
+   * Re-select a hash range's users on a source after routing flipped - users created there
+   * between planning and the flip are moved too instead of being left behind
+   * @returns {Array} ids not seen before
+   */
+  async refreshUsers(job, source) {
+    if (!job.selector.hash_range) {
+      return [];
+    }
+
+    const data = await this.request(source, 'GET', `/api/admin/resharding/users?${this.selectorQuery(job.selector)}`);
+    const known = new Set(job.user_ids[source.id]);
+    const added = (data.user_ids || []).filter(id => !known.has(id));
+    if (added.length) {
+      this.rememberRoutes(job, added);
+      job.user_ids[source.id] = [...job.user_ids[source.id], ...added];
+      await this.saveJob(job);
+      await this.routingTable.setUsers(added, job.target_shard);
+      log.info(`Migration ${job.id}: ${added.length} user(s) created on shard ${source.id} since planning`);
+    }
+    return added;
+  }
+
+  async startForward(from, to, migrationId, selector) {
+    await this.request(from, 'POST', '/api/admin/resharding/forwards', {
+      migration_id: migrationId,
+      selector,
+      target_url: to.primary
+    });
+  }
+
+  async stopForward(shard, migrationId) {
+    await this.request(shard, 'DELETE', `/api/admin/resharding/forwards/${migrationId}`);
+  }
+
+  /**
+   * Resend a shard's failed dual-writes - throws while any is still unsent, since
+   * stopping the forward would drop it
+   */
+  async flushForward(shard, migrationId) {
+    const data = await this.request(shard, 'POST', `/api/admin/resharding/forwards/${migrationId}/flush`);
+    if (data.lost) {
+      throw new Error(`Shard ${shard.id} lost dual-writes for migration ${migrationId}`);
+    }
+    if (data.pending > 0) {
+      throw new Error(`Shard ${shard.id} still has ${data.pending} unsent dual-write(s) for migration ${migrationId}`);
+    }
+  }
+
+  /**
+   * Move the users' unacknowledged offline-queue entries - they are only replayed from the user's home shard
+   */
+  async moveQueues(from, to, userIds) {
+    if (!userIds.length) {
+      return;
+    }
+    const data = await this.request(from, 'GET', `/api/admin/resharding/queues?user_ids=${userIds.join(',')}`);
+    if (Object.keys(data.queues).length) {
+      await this.request(to, 'POST', '/api/admin/resharding/queues', { queues: data.queues });
+    }
+  }
+
+  /**
+   * Copy users (with their contacts and blocks) and the messages they sent from one shard to another.
+   * Progress is counted on `job` when given, and saved after every page.
+   */
+  async copyRows(from, to, userIds, job = null) {
+    if (!userIds.length) {
+      return;
+    }
+
+    let cursor = null;
+    do {
+      const query = `user_ids=${userIds.join(',')}${cursor ? `&after_id=${cursor}` : ''}`;
+      const page = await this.request(from, 'GET', `/api/admin/resharding/export?${query}`);
+
+      await this.request(to, 'POST', '/api/admin/resharding/import', {
+        users: page.users,
+        messages: page.messages,
+        message_edits: page.message_edits,
+        contacts: page.contacts,
+        blocks: page.blocks
+      });
+
+      if (job) {
+        job.progress.users_copied += page.users.length;
+        job.progress.messages_copied += page.messages.length;
+        await this.saveJob(job);
+      }
+      cursor = page.next_cursor;
+    } while (cursor);
+  }
+
+  /**
+   * Stop dual-writing, move the offline queues and remove the moved rows from the source shards
+   */
+  async cleanup(job) {
+    const target = this.getShard(job.target_shard);
+    await this.setStatus(job, 'cleanup');
+
+    for (const sourceId of job.source_shards) {
+      const source = this.getShard(sourceId);
+      // Last chance for users another gateway placed in the range before it saw the flip
+      const added = await this.refreshUsers(job, source);
+      await this.copyRows(source, target, added, job);
+
+      await this.flushForward(source, job.id);
+      await this.stopForward(source, job.id);
+
+      const userIds = job.user_ids[sourceId] || [];
+      if (userIds.length) {
+        await this.moveQueues(source, target, userIds);
+        const data = await this.request(source, 'POST', '/api/admin/resharding/purge', { user_ids: userIds });
+        job.progress.users_purged += data.purged.users;
+        job.progress.messages_purged += data.purged.messages;
+        await this.saveJob(job);
+      }
+    }
+
+    await this.setStatus(job, 'completed');
+  }
+
+  /**
+   * Finish a migration started with auto_cleanup: false
+   */
+  async complete(jobId) {
+    const job = this.getJob(jobId);
+    if (job.status !== 'cutover_complete') {
+      throw new Error(`Migration ${job.id} is ${job.status}, expected cutover_complete`);
+    }
+    await this.cleanup(job);
+    return job;
+  }
+
+  /**
+   * Undo a migration that has not been cleaned up yet. Writes that reached the
+   * target after cutover are copied back before routing is restored.
+   */
+  async rollback(jobId) {
+    const job = this.getJob(jobId);
+    if (!['cutover_complete', 'failed'].includes(job.status)) {
+      throw new Error(`Migration ${job.id} is ${job.status} - only cutover_complete or failed migrations can be rolled back`);
+    }
+
+    const target = this.getShard(job.target_shard);
+    // One reverse forward per source - a forward has a single target
+    const rollbackId = sourceId => `${job.id}-rollback-${sourceId}`;
+    const wasFlipped = job.routing_flipped;
+    await this.setStatus(job, 'rolling_back');
+
+    for (const sourceId of job.source_shards) {
+      const source = this.getShard(sourceId);
+      const userIds = job.user_ids[sourceId] || [];
+
+      if (wasFlipped && userIds.length) {
+        // Reverse dual-write while copying the target's newer rows back
+        await this.startForward(target, source, rollbackId(sourceId), { user_ids: userIds });
+        await this.copyRows(target, source, userIds);
+      }
+      await this.stopForward(source, job.id);
+    }
+
+    if (job.routing_flipped) {
+      await this.routingTable.restoreUsers(job.previous_user_routes);
+      await this.routingTable.restoreRanges(job.previous_ranges);
+      job.routing_flipped = false;
+      await this.saveJob(job);
+    }
+
+    for (const sourceId of job.source_shards) {
+      const userIds = job.user_ids[sourceId] || [];
+      if (wasFlipped && userIds.length) {
+        await this.flushForward(target, rollbackId(sourceId));
+        await this.stopForward(target, rollbackId(sourceId));
+        await this.moveQueues(target, this.getShard(sourceId), userIds);
+      }
+    }
+    const copiedUsers = Object.values(job.user_ids).flat();
+    if (copiedUsers.length) {
+      await this.request(target, 'POST', '/api/admin/resharding/purge', { user_ids: copiedUsers });
+    }
+
+    await this.setStatus(job, 'rolled_back');
+    return job;
+  }
+
+  getJob(jobId) {
+    const job = this.jobs.get(jobId);
+    if (!job) {
+      throw new Error(`Unknown migration ${jobId}`);
+    }
+    return job;
+  }
+
+  listJobs() {
+    return [...this.jobs.values()];
+  }
+}
+
+module.exports = { ReshardingCoordinator };
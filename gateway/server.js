@@ -1,9 +1,31 @@
 const express = require('express');
 const cors = require('cors');
+const http = require('http');
 const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs');
+const redis = require('redis');
+const { createShardRing } = require('./hashRing');
+const { RoutingTable } = require('./routing');
+const { ReshardingCoordinator } = require('./resharding');
+const { verifyToken, extractBearerToken, signServiceToken, signActorToken } = require('./auth');
+const { attachWebSocketProxy } = require('./wsProxy');
+const { ShardHealthMonitor } = require('./shardHealth');
+const { parsePageParams, mergePages } = require('./pagination');
+const { createMetrics } = require('./metrics');
+const { createLogger, requestLogging, requestIdHeaders } = require('./logger');
+const { RateLimiter } = require('./rateLimit');
+const { CacheEventFeed } = require('./cacheEvents');
+const { lookupPresence } = require('./presence');
+const { lookupPolicies } = require('./privacy');
+const { createBlobStore } = require('./blobStore');
+const { AttachmentService, MAX_UPLOAD_BYTES } = require('./attachments');
+const { UserRegistry } = require('./users');
 
 const app = express();
 const PORT = 3000;
+const BUS_URL = process.env.BUS_URL || 'redis://redis-bus:6379';
+const log = createLogger({ service: 'gateway' });
 
 // Configuration with backup shards for failover
 const SHARDS = [
@@ -12,62 +34,249 @@ const SHARDS = [
   { id: 3, primary: 'http://shard-3:4003', backup: 'http://shard-3-backup:4003' }
 ];
 
-// Track shard health
-const shardHealth = new Map();
-SHARDS.forEach(shard => {
-  shardHealth.set(shard.id, { healthy: true, failedAttempts: 0, lastChecked: Date.now() });
+// Consistent hash ring shared with the shards (see shared/shard-core/hashRing.js)
+const shardRing = createShardRing();
+
+// Routing overrides written by resharding migrations (user -> shard, hash range -> shard),
+// shared with the other gateways and the shards through the bus Redis - loaded before listening
+const routingTable = new RoutingTable(shardRing, BUS_URL);
+
+// Background probes and a circuit breaker per shard endpoint
+const shardHealth = new ShardHealthMonitor(SHARDS);
+shardHealth.start();
+
+// Prometheus metrics, served on /metrics
+const metrics = createMetrics({ service: 'gateway' });
+const shardRequests = metrics.counter('gateway_shard_requests_total', 'Requests sent to shard endpoints', ['shard', 'endpoint', 'method', 'outcome']);
+const shardRequestDuration = metrics.histogram('gateway_shard_request_duration_seconds', 'Latency of requests to shard endpoints', ['shard', 'endpoint', 'method']);
+const shardFailovers = metrics.counter('gateway_shard_failovers_total', 'Requests retried on the other endpoint after one failed', ['shard', 'from']);
+const circuitRejections = metrics.counter('gateway_circuit_rejections_total', 'Requests rejected because both endpoint breakers were open', ['shard']);
+const BREAKER_STATES = { closed: 0, half_open: 1, open: 2 };
+metrics.gauge('gateway_circuit_breaker_state', 'Breaker state per endpoint (0 closed, 1 half-open, 2 open)', ['shard', 'endpoint'], function () {
+  SHARDS.forEach(shard => {
+    const summary = shardHealth.shardSummary(shard.id);
+    this.set({ shard: shard.id, endpoint: 'primary' }, BREAKER_STATES[summary.primary]);
+    this.set({ shard: shard.id, endpoint: 'backup' }, BREAKER_STATES[summary.backup]);
+  });
+});
+
+// Token buckets per user and per IP, shared by every gateway instance through Redis
+const rateLimiter = new RateLimiter(process.env.RATE_LIMIT_REDIS_URL || 'redis://redis-bus:6379', metrics);
+rateLimiter.connect().catch(error => {
+  log.error('Rate limit Redis unavailable, requests are not limited', { error: error.message });
+});
+
+// Presence and cached privacy policies are written by the shards to the shared bus Redis and read here directly
+const busClient = redis.createClient({ url: BUS_URL });
+busClient.on('error', (err) => log.error('Bus Redis error', { error: err.message }));
+busClient.connect().catch(error => {
+  log.error('Bus Redis unavailable, presence and privacy lookups fail', { error: error.message });
 });
 
-app.use(cors());
-app.use(express.json());
+// Attachment bytes live in the blob store (local directory or S3-compatible bucket)
+const blobStore = createBlobStore();
+blobStore.init().catch(error => {
+  log.error('Blob store unavailable, attachments will fail', { error: error.message });
+});
+const attachments = new AttachmentService(blobStore, metrics);
+
+// Shard-aware user ID allocation and the deactivated-account list, shared through the bus Redis
+const userRegistry = new UserRegistry(BUS_URL, routingTable);
+userRegistry.connect().catch(error => {
+  log.error('User registry Redis unavailable, new user IDs cannot be allocated', { error: error.message });
+});
+
+app.use(cors({ exposedHeaders: ['X-Request-ID', 'Retry-After'] }));
+// Uploads are read raw by their own route, whatever their Content-Type
+const parseJson = express.json();
+app.use((req, res, next) => (req.path === '/api/attachments' ? next() : parseJson(req, res, next)));
+// Accept or assign X-Request-ID and log every request with it
+app.use(requestLogging(log));
+app.use(metrics.middleware);
+metrics.expose(app);
+
+// Routes reachable without a token
+const PUBLIC_PATHS = ['/health', '/metrics', '/api/auth/signup', '/api/auth/login'];
+
+// Attachment downloads carry their own signature instead, so <img> and <audio> can load them
+function isAttachmentDownload(req) {
+  return req.method === 'GET' && /^\/api\/attachments\/[^/]+\/[^/]+$/.test(req.path);
+}
+
+// Users allowed to call /api/admin routes - none unless configured
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
 
-// Middleware to log requests
-app.use((req, res, next) => {
-  console.log(`[GATEWAY] ${req.method} ${req.path}`);
+// Middleware to require a valid signed token on every other route - deactivated users' tokens
+// stay signed until they expire, so those are checked against the registry
+app.use(async (req, res, next) => {
+  if (PUBLIC_PATHS.includes(req.path) || isAttachmentDownload(req)) {
+    return next();
+  }
+
+  try {
+    const claims = verifyToken(extractBearerToken(req));
+    req.user = { id: String(claims.sub), role: claims.role || 'user' };
+  } catch (error) {
+    log.warn(`Rejected ${req.method} ${req.path}: ${error.message}`);
+    return res.status(401).json({ error: 'Unauthorized', details: error.message });
+  }
+
+  if (req.user.role !== 'service' && await userRegistry.isDeactivated(req.user.id)) {
+    log.warn(`Rejected ${req.method} ${req.path}: user ${req.user.id} is deactivated`);
+    return res.status(401).json({ error: 'Unauthorized', details: 'Account deactivated' });
+  }
   next();
 });
 
-// Helper function to determine shard based on user_id
+// Per-user and per-IP limits, once the caller is known
+app.use(rateLimiter.middleware());
+
+// Middleware to only let a user act as themselves
+function requireSameUser(getUserId) {
+  return (req, res, next) => {
+    if (String(getUserId(req)) !== req.user.id) {
+      return res.status(403).json({ error: 'Forbidden', details: 'Token does not belong to this user' });
+    }
+    next();
+  };
+}
+
+// Middleware to let a user act on their own account, and admins on any
+function requireSelfOrAdmin(getUserId) {
+  return (req, res, next) => {
+    if (String(getUserId(req)) !== req.user.id && !ADMIN_USER_IDS.includes(req.user.id)) {
+      return res.status(403).json({ error: 'Forbidden', details: 'Only the user or an admin may do this' });
+    }
+    next();
+  };
+}
+
+// Middleware to restrict internal routes to other services (shards)
+function requireService(req, res, next) {
+  if (req.user.role !== 'service') {
+    return res.status(403).json({ error: 'Forbidden', details: 'Service token required' });
+  }
+  next();
+}
+
+// Middleware to restrict admin routes
+function requireAdmin(req, res, next) {
+  if (!ADMIN_USER_IDS.includes(req.user.id)) {
+    return res.status(403).json({ error: 'Forbidden', details: 'Admin access required' });
+  }
+  next();
+}
+
+// Helper function to determine shard based on user_id (routing overrides, then hash ring)
 function getShardForUser(userId) {
-  const shardId = (Math.abs(parseInt(userId)) % SHARDS.length) || SHARDS.length;
+  const shardId = routingTable.resolve(userId);
   const shard = SHARDS.find(s => s.id === shardId);
-  console.log(`[GATEWAY] User ${userId} maps to Shard ${shardId}`);
+  if (!shard) {
+    throw new Error(`Shard ${shardId} is on the hash ring but not configured in the gateway`);
+  }
+  log.info(`User ${userId} maps to Shard ${shardId}`);
   return shard;
 }
 
-// Helper function to make request with failover
-async function makeShardRequest(shard, method, endpoint, data = null) {
-  const urls = [shard.primary, shard.backup];
-  
-  for (const url of urls) {
+// Helper function to find a group's home shard - groups hash onto the ring as `group:<id>`
+function getShardForGroup(groupId) {
+  const shardId = shardRing.getShardId(`group:${groupId}`);
+  return SHARDS.find(s => s.id === shardId);
+}
+
+// Shard unreachable, timed out, or a proxy/overload status - anything else is the shard's own answer
+function isEndpointFailure(error) {
+  return !error.response || [502, 503, 504].includes(error.response.status);
+}
+
+// Helper function to make request with failover - healthiest endpoint first, open breakers skipped.
+// `actorId` names the user the request acts for in a signed header the shard verifies.
+// Only endpoint failures count against the breaker and fail over; other errors are passed through.
+async function makeShardRequest(shard, method, endpoint, data = null, actorId = null) {
+  let attempted = 0;
+  let failedEndpoint = null;
+
+  for (const { name, url, breaker } of shardHealth.rankedEndpoints(shard)) {
+    if (!breaker.tryAcquire()) {
+      continue;
+    }
+    if (failedEndpoint) {
+      shardFailovers.inc({ shard: shard.id, from: failedEndpoint });
+    }
+    attempted++;
+    const started = Date.now();
+    const endTimer = shardRequestDuration.startTimer({ shard: shard.id, endpoint: name, method });
     try {
-      console.log(`[GATEWAY] Attempting request to ${url}${endpoint}`);
+      log.info(`Attempting request to ${url}${endpoint}`);
       
+      // Forward the caller's request ID so the shard logs under the same one
+      // Shards only serve service tokens; the acting user (if any) rides in its own signed header
+      const headers = { Authorization: `Bearer ${signServiceToken('gateway')}`, ...requestIdHeaders() };
+      if (actorId) {
+        headers['X-Actor-Token'] = signActorToken(actorId);
+      }
+      const options = { timeout: 5000, headers };
       let response;
       if (method === 'GET') {
-        response = await axios.get(`${url}${endpoint}`, { timeout: 5000 });
+        response = await axios.get(`${url}${endpoint}`, options);
       } else if (method === 'POST') {
-        response = await axios.post(`${url}${endpoint}`, data, { timeout: 5000 });
+        response = await axios.post(`${url}${endpoint}`, data, options);
+      } else if (method === 'PATCH') {
+        response = await axios.patch(`${url}${endpoint}`, data, options);
+      } else if (method === 'DELETE') {
+        response = await axios.delete(`${url}${endpoint}`, { ...options, data });
       }
       
-      // Mark as healthy if successful
-      shardHealth.set(shard.id, { healthy: true, failedAttempts: 0, lastChecked: Date.now() });
-      console.log(`[GATEWAY] Request successful on shard ${shard.id}`);
+      shardHealth.record(shard.id, name, true, Date.now() - started);
+      shardRequests.inc({ shard: shard.id, endpoint: name, method, outcome: 'success' });
+      endTimer();
+      log.info(`Request successful on shard ${shard.id}`);
       
       return response.data;
     } catch (error) {
-      console.warn(`[GATEWAY] Failed to reach ${url}: ${error.message}`);
+      // Client errors and application errors (e.g. a 500 from a bad query) come from a reachable
+      // shard - the other endpoint would answer the same, so pass them through instead of failing over
+      if (!isEndpointFailure(error)) {
+        shardHealth.record(shard.id, name, true, Date.now() - started);
+        shardRequests.inc({
+          shard: shard.id,
+          endpoint: name,
+          method,
+          outcome: error.response.status < 500 ? 'client_error' : 'server_error'
+        });
+        endTimer();
+        throw error;
+      }
+      shardHealth.record(shard.id, name, false, Date.now() - started);
+      shardRequests.inc({ shard: shard.id, endpoint: name, method, outcome: 'failure' });
+      endTimer();
+      failedEndpoint = name;
+      log.warn(`Failed to reach ${url}: ${error.message}`);
     }
   }
   
+  if (attempted === 0) {
+    circuitRejections.inc({ shard: shard.id });
+    throw new Error(`Circuit open for primary and backup of shard ${shard.id}`);
+  }
   // All attempts failed
-  shardHealth.set(shard.id, { healthy: false, failedAttempts: (shardHealth.get(shard.id)?.failedAttempts || 0) + 1, lastChecked: Date.now() });
   throw new Error(`Both primary and backup shards failed for shard ${shard.id}`);
 }
 
+// Coordinates online user moves between shards
+const resharding = new ReshardingCoordinator(SHARDS, routingTable, makeShardRequest, BUS_URL);
+
+// Send a shard's own error response back as-is, an unreachable shard as 503
+function sendShardError(res, error) {
+  if (error.response) {
+    return res.status(error.response.status).json(error.response.data);
+  }
+  res.status(503).json({ error: 'Service unavailable', details: error.message });
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', service: 'gateway', shards: Object.fromEntries(shardHealth) });
+  res.json({ status: 'ok', service: 'gateway', shards: shardHealth.summary() });
 });
 
 // Get shard info
@@ -77,139 +286,1192 @@ app.get('/api/shards', (req, res) => {
       id: s.id,
       primary: s.primary,
       backup: s.backup,
-      health: shardHealth.get(s.id)
-    }))
+      health: shardHealth.shardSummary(s.id)
+    })),
+    ring: shardRing.describe()
   });
 });
 
-// Send message - routes to appropriate shard with failover
-app.post('/api/messages', async (req, res) => {
+// Look up which shard owns a user
+app.get('/api/shards/lookup/:userId', (req, res) => {
   try {
-    const { from_user_id, to_user_id, content } = req.body;
+    const { userId } = req.params;
+    const lookup = shardRing.lookup(userId);
+    const shard = getShardForUser(userId);
+
+    res.json({
+      ...lookup,
+      ring_shard_id: lookup.shard_id,
+      shard_id: shard.id,
+      overridden: shard.id !== lookup.shard_id,
+      primary: shard.primary,
+      backup: shard.backup
+    });
+  } catch (error) {
+    log.error('Error looking up shard', { error: error.message });
+    res.status(500).json({ error: 'Failed to look up shard', details: error.message });
+  }
+});
+
+// ==================== AUTH ====================
+
+// Sign up - the account is created on the shard that owns the user ID. Without a user_id
+// one is allocated (see createWithAllocatedId).
+// users.id is a Postgres INT
+const MAX_USER_ID = 2147483647;
+
+app.post('/api/auth/signup', async (req, res) => {
+  try {
+    const { user_id, name, password } = req.body;
+
+    if (!name || !password) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    if (user_id && !(/^[1-9]\d*$/.test(String(user_id)) && Number(user_id) <= MAX_USER_ID)) {
+      return res.status(400).json({ error: 'Invalid user ID', details: 'user_id must be a positive integer' });
+    }
+
+    const signUp = (userId, shard) => makeShardRequest(shard, 'POST', '/api/auth/signup', { user_id: userId, name, password });
+    const response = user_id
+      ? await signUp(user_id, getShardForUser(user_id))
+      : await createWithAllocatedId(null, signUp);
+    res.status(201).json(response);
+  } catch (error) {
+    log.error('Error signing up', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+// Log in - the owning shard checks the password and issues a token
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { user_id, password } = req.body;
+
+    if (!user_id || !password) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const shard = getShardForUser(user_id);
+    const response = await makeShardRequest(shard, 'POST', '/api/auth/login', { user_id, password });
+    res.json(response);
+  } catch (error) {
+    log.error('Error logging in', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+// Who the current token belongs to
+app.get('/api/auth/me', (req, res) => {
+  res.json({ user_id: req.user.id, shard_id: getShardForUser(req.user.id).id });
+});
+
+// Send message - routes to appropriate shard with failover. A retry on the backup after a
+// timeout is safe when the client sent a client_message_id: the shard returns the original.
+// An attachment_token from POST /api/attachments attaches the upload; content is then optional.
+app.post('/api/messages', requireSameUser(req => req.body.from_user_id), async (req, res) => {
+  try {
+    const { from_user_id, to_user_id, content, client_message_id, attachment_token } = req.body;
     
-    if (!from_user_id || !to_user_id || !content) {
+    if (!from_user_id || !to_user_id || (!content && !attachment_token)) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
 
     const shard = getShardForUser(from_user_id);
-    console.log(`[GATEWAY] Routing message from user ${from_user_id} to shard ${shard.id}`);
+    log.info(`Routing message from user ${from_user_id} to shard ${shard.id}`);
 
     const response = await makeShardRequest(shard, 'POST', '/api/messages', {
       from_user_id,
       to_user_id,
+      content,
+      client_message_id,
+      attachment_token
+    });
+
+    res.json(attachments.signMessages([response])[0]);
+  } catch (error) {
+    log.error('Error sending message', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+// Edit a message - sender only, so it lives on the caller's own shard
+app.patch('/api/messages/:messageId', async (req, res) => {
+  try {
+    const { content } = req.body;
+    if (!content) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const shard = getShardForUser(req.user.id);
+    const response = await makeShardRequest(shard, 'PATCH', `/api/messages/${encodeURIComponent(req.params.messageId)}`, {
+      from_user_id: req.user.id,
       content
     });
+    res.json(response);
+  } catch (error) {
+    log.error('Error editing message', { error: error.message });
+    sendShardError(res, error);
+  }
+});
 
+// Delete a message (soft-delete tombstone) - sender only
+app.delete('/api/messages/:messageId', async (req, res) => {
+  try {
+    const shard = getShardForUser(req.user.id);
+    const response = await makeShardRequest(shard, 'DELETE', `/api/messages/${encodeURIComponent(req.params.messageId)}`, {
+      from_user_id: req.user.id
+    });
     res.json(response);
   } catch (error) {
-    console.error('[GATEWAY] Error sending message:', error.message);
-    res.status(503).json({ error: 'Service unavailable', details: error.message });
+    log.error('Error deleting message', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+// Edit history of a message - it lives on the sender's shard, which the recipient
+// doesn't know, so ask every shard and return the one that has it
+app.get('/api/messages/:messageId/edits', async (req, res) => {
+  try {
+    const endpoint = `/api/messages/${encodeURIComponent(req.params.messageId)}/edits`;
+    const responses = await Promise.allSettled(SHARDS.map(shard => makeShardRequest(shard, 'GET', endpoint, null, req.user.id)));
+
+    const found = responses.find(r => r.status === 'fulfilled');
+    if (found) {
+      return res.json(found.value);
+    }
+    const unavailable = responses.find(r => !r.reason.response);
+    if (unavailable) {
+      return sendShardError(res, unavailable.reason);
+    }
+    res.status(404).json({ error: 'Message not found' });
+  } catch (error) {
+    log.error('Error fetching edit history', { error: error.message });
+    sendShardError(res, error);
   }
 });
 
-// Get messages for a user - routes to appropriate shard with failover
-app.get('/api/messages/:userId', async (req, res) => {
+// Forward ?limit=&before=&after= unchanged - cursors mean the same position on every shard
+function pageQuery(req) {
+  const params = new URLSearchParams();
+  ['limit', 'before', 'after'].forEach(key => {
+    if (req.query[key]) {
+      params.set(key, req.query[key]);
+    }
+  });
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
+
+// Get messages for a user - sent ones live on the user's shard, received ones on each
+// sender's shard, so every shard is asked for the same page and the results k-way merged
+app.get('/api/messages/:userId', requireSameUser(req => req.params.userId), async (req, res) => {
+  let page;
+  try {
+    page = parsePageParams(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid pagination parameters', details: error.message });
+  }
+
   try {
     const { userId } = req.params;
-    const shard = getShardForUser(userId);
     
-    console.log(`[GATEWAY] Fetching messages for user ${userId} from shard ${shard.id}`);
+    log.info(`Fetching messages for user ${userId} from all shards`);
 
-    const response = await makeShardRequest(shard, 'GET', `/api/messages/${userId}`);
-    res.json(response);
+    const pages = await Promise.all(
+      SHARDS.map(shard => makeShardRequest(shard, 'GET', `/api/messages/${encodeURIComponent(userId)}${pageQuery(req)}`))
+    );
+
+    const merged = mergePages(pages, page, 'desc');
+    res.json({
+      ...merged,
+      messages: attachments.signMessages(merged.messages),
+      user_id: userId,
+      shards_queried: SHARDS.map(s => s.id)
+    });
   } catch (error) {
-    console.error('[GATEWAY] Error fetching messages:', error.message);
-    res.status(503).json({ error: 'Service unavailable', details: error.message });
+    log.error('Error fetching messages', { error: error.message });
+    sendShardError(res, error);
   }
 });
 
-// Get conversation between two users - query BOTH shards and merge
-app.get('/api/conversations/:userId/:otherUserId', async (req, res) => {
+// Get conversation between two users - query BOTH shards and k-way merge the pages
+app.get('/api/conversations/:userId/:otherUserId', requireSameUser(req => req.params.userId), async (req, res) => {
+  let page;
+  try {
+    page = parsePageParams(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid pagination parameters', details: error.message });
+  }
+
   try {
     const { userId, otherUserId } = req.params;
     const userShard = getShardForUser(userId);
     const otherShard = getShardForUser(otherUserId);
+    const shards = otherShard.id !== userShard.id ? [userShard, otherShard] : [userShard];
     
-    console.log(`[GATEWAY] Fetching conversation between ${userId} (Shard ${userShard.id}) and ${otherUserId} (Shard ${otherShard.id})`);
+    log.info(`Fetching conversation between ${userId} (Shard ${userShard.id}) and ${otherUserId} (Shard ${otherShard.id})`);
 
-    // Fetch from both shards with failover
-    const resp1 = await makeShardRequest(userShard, 'GET', `/api/conversations/${userId}/${otherUserId}`);
-    
-    let resp2Data = { messages: [] };
-    if (otherShard.id !== userShard.id) {
-      const resp2 = await makeShardRequest(otherShard, 'GET', `/api/conversations/${userId}/${otherUserId}`);
-      resp2Data = resp2;
+    // Fetch the same page from both shards with failover
+    const pages = await Promise.all(
+      shards.map(shard => makeShardRequest(
+        shard,
+        'GET',
+        `/api/conversations/${encodeURIComponent(userId)}/${encodeURIComponent(otherUserId)}${pageQuery(req)}`
+      ))
+    );
+
+    const merged = mergePages(pages, page, 'asc');
+    res.json({ 
+      ...merged,
+      messages: attachments.signMessages(merged.messages),
+      user_id: userId, 
+      other_user_id: otherUserId,
+      shards_queried: shards.map(s => s.id)
+    });
+  } catch (error) {
+    log.error('Error fetching conversation', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+// ==================== USERS ====================
+
+const USERS_DEFAULT_LIMIT = 50;
+const USERS_MAX_LIMIT = 200;
+const MAX_USER_LOOKUP_IDS = 100;
+const MAX_ALLOCATION_ATTEMPTS = 5;
+
+// Create a user under a freshly allocated ID on shard `shardId` (any shard when null) -
+// `create(userId, shard)` writes it; an ID someone already picked by hand at signup is skipped
+async function createWithAllocatedId(shardId, create) {
+  for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS; attempt++) {
+    const { userId } = await userRegistry.allocate(shardId);
+    try {
+      return await create(userId, getShardForUser(userId));
+    } catch (error) {
+      if (!error.response || error.response.status !== 409) {
+        throw error;
+      }
+      log.warn(`Allocated user ID ${userId} is already taken, drawing another`);
     }
+  }
+  throw new Error(`No free user ID after ${MAX_ALLOCATION_ATTEMPTS} attempts`);
+}
 
-    // Merge messages from both shards and sort by timestamp
-    const allMessages = [...(resp1.messages || []), ...(resp2Data.messages || [])];
-    allMessages.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
-    
-    // Remove duplicates
-    const uniqueMessages = [];
-    const seen = new Set();
-    allMessages.forEach(msg => {
-      const key = `${msg.from_user_id}-${msg.to_user_id}-${msg.created_at}`;
-      if (!seen.has(key)) {
-        uniqueMessages.push(msg);
-        seen.add(key);
+// Avatars are stored as attachment metadata - add signed URLs like message attachments
+function withAvatarUrls(user) {
+  return user.avatar ? { ...user, avatar: attachments.withUrls(user.avatar) } : user;
+}
+
+// List users in id order, a page at a time (`limit`, `after` cursor), optionally only names
+// starting with `q` or only the given `ids`. Every shard is asked for the same page and the
+// pages merged by id; an `ids` lookup only asks the shards that own them.
+app.get('/api/users', async (req, res) => {
+  const { after } = req.query;
+  const q = req.query.q ? String(req.query.q).trim() : '';
+  const ids = req.query.ids ? [...new Set(String(req.query.ids).split(',').map(id => id.trim()).filter(Boolean))] : null;
+  // A batch lookup always fits in one page
+  const limit = ids ? ids.length : Math.min(Math.max(parseInt(req.query.limit) || USERS_DEFAULT_LIMIT, 1), USERS_MAX_LIMIT);
+
+  if (after !== undefined && !/^\d+$/.test(after)) {
+    return res.status(400).json({ error: 'after must be a user ID' });
+  }
+  if (ids && (ids.length > MAX_USER_LOOKUP_IDS || !ids.every(id => /^\d+$/.test(id)))) {
+    return res.status(400).json({ error: `ids must be up to ${MAX_USER_LOOKUP_IDS} user IDs` });
+  }
+
+  try {
+    // Shard -> query string; with ids, each owning shard only gets its own
+    const queries = new Map();
+    const baseParams = { limit: String(limit) };
+    if (after !== undefined) baseParams.after = after;
+    if (q) baseParams.q = q;
+    if (ids) {
+      ids.forEach(id => {
+        const shard = getShardForUser(id);
+        const owned = queries.has(shard) ? queries.get(shard).ids.split(',') : [];
+        queries.set(shard, { ...baseParams, ids: [...owned, id].join(',') });
+      });
+    } else {
+      SHARDS.forEach(shard => queries.set(shard, baseParams));
+    }
+    const shards = [...queries.keys()];
+
+    log.info(`Fetching users from shards ${shards.map(s => s.id).join(', ')}`);
+    const responses = await Promise.allSettled(
+      shards.map(shard => makeShardRequest(shard, 'GET', `/api/users?${new URLSearchParams(queries.get(shard))}`))
+    );
+
+    const byId = new Map();
+    const failed = [];
+    let shardHasMore = false;
+    responses.forEach((response, i) => {
+      if (response.status === 'rejected') {
+        log.warn(`Failed to get users from shard ${shards[i].id}`, { error: response.reason.message });
+        failed.push(shards[i].id);
+        return;
       }
+      shardHasMore = shardHasMore || response.value.has_more;
+      // A user mid-migration is on two shards for a while
+      (response.value.users || []).forEach(user => byId.set(String(user.id), user));
     });
+    if (shards.length > 0 && failed.length === shards.length) {
+      return res.status(503).json({ error: 'Service unavailable', details: 'No shard answered' });
+    }
 
-    res.json({ 
-      messages: uniqueMessages, 
-      user_id: userId, 
-      other_user_id: otherUserId,
-      shards_queried: userShard.id !== otherShard.id ? [userShard.id, otherShard.id] : [userShard.id]
+    const merged = [...byId.values()].sort((a, b) => a.id - b.id);
+    const page = merged.slice(0, limit);
+    const canSee = await visibility(req.user.id, page.map(user => user.id), 'can_see_profile');
+    const users = page
+      .map(user => ({ ...withAvatarUrls(profileFor(user, canSee)), shard_id: routingTable.resolve(user.id) }));
+    const hasMore = merged.length > limit || shardHasMore;
+
+    res.json({
+      users,
+      has_more: hasMore,
+      next_cursor: hasMore && users.length > 0 ? String(users[users.length - 1].id) : null,
+      shards_queried: shards.map(s => s.id),
+      shards_failed: failed
     });
   } catch (error) {
-    console.error('[GATEWAY] Error fetching conversation:', error.message);
+    log.error('Error fetching users', { error: error.message });
     res.status(503).json({ error: 'Service unavailable', details: error.message });
   }
 });
 
-// Get all users
-app.get('/api/users', async (req, res) => {
+// One user's profile, from their owning shard
+app.get('/api/users/:userId', async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const response = await makeShardRequest(getShardForUser(userId), 'GET', `/api/users/${encodeURIComponent(userId)}`);
+    const canSee = await visibility(req.user.id, [userId], 'can_see_profile');
+    res.json({ ...response, user: withAvatarUrls(profileFor(response.user, canSee)) });
+  } catch (error) {
+    log.error('Error fetching user', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+// Create a user (admin) - the ID is allocated so the user lands on `shard_id` when given
+app.post('/api/users', requireAdmin, async (req, res) => {
+  try {
+    const { name, password, about, shard_id } = req.body;
+
+    if (!name || !password) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    const shardId = shard_id !== undefined ? parseInt(shard_id) : null;
+    if (shardId !== null && !SHARDS.some(s => s.id === shardId)) {
+      return res.status(400).json({ error: `Unknown shard ${shard_id}` });
+    }
+
+    const response = await createWithAllocatedId(shardId, (userId, shard) =>
+      makeShardRequest(shard, 'POST', '/api/users', { user_id: userId, name, password, about }));
+
+    log.info(`Created user ${response.user.id} on shard ${response.shard_id}`);
+    res.status(201).json(response);
+  } catch (error) {
+    log.error('Error creating user', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+// Update a profile (the user or an admin): name, about, avatar_token from an image upload, or avatar: null
+app.patch('/api/users/:userId', requireSelfOrAdmin(req => req.params.userId), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { name, about, avatar_token, avatar } = req.body;
+
+    const response = await makeShardRequest(getShardForUser(userId), 'PATCH', `/api/users/${encodeURIComponent(userId)}`, {
+      name, about, avatar_token, avatar, by_user_id: req.user.id
+    });
+    res.json({ ...response, user: withAvatarUrls(response.user) });
+  } catch (error) {
+    log.error('Error updating user', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+// Deactivate an account (the user or an admin) - login stops working and existing tokens are refused
+app.delete('/api/users/:userId', requireSelfOrAdmin(req => req.params.userId), async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const response = await makeShardRequest(getShardForUser(userId), 'DELETE', `/api/users/${encodeURIComponent(userId)}`);
+    await userRegistry.markDeactivated(userId);
+
+    log.info(`Deactivated user ${userId}`);
+    res.json({ ...response, user: withAvatarUrls(response.user) });
+  } catch (error) {
+    log.error('Error deactivating user', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+// ==================== CONTACTS & PRIVACY ====================
+
+// Policies of users (grouped by owning shard) for one viewer, computed on their shards
+async function loadPolicies(viewerId, ownerIds) {
+  const byShard = new Map();
+  ownerIds.forEach(ownerId => {
+    const shard = getShardForUser(ownerId);
+    byShard.set(shard, [...(byShard.get(shard) || []), ownerId]);
+  });
+
+  const responses = await Promise.all([...byShard].map(([shard, ids]) => {
+    const params = new URLSearchParams({ viewer: String(viewerId), ids: ids.join(',') });
+    return makeShardRequest(shard, 'GET', `/api/privacy/policies?${params}`);
+  }));
+  return responses.flatMap(response => response.policies);
+}
+
+// What `viewerId` may do with each owner, through the shared policy cache
+function policiesFor(viewerId, ownerIds) {
+  return lookupPolicies(busClient, viewerId, ownerIds, ids => loadPolicies(viewerId, ids));
+}
+
+// Whether `viewerId` may see `permission` (can_see_profile, can_see_last_seen) of each owner.
+// Users always see their own; when policies can't be read everything else is hidden, not leaked.
+async function visibility(viewerId, ownerIds, permission) {
+  const others = ownerIds.map(String).filter(id => id !== String(viewerId));
+  let policies = new Map();
+  try {
+    policies = await policiesFor(viewerId, others);
+  } catch (error) {
+    log.warn('Privacy lookup failed, hiding private fields', { error: error.message });
+  }
+  return userId => String(userId) === String(viewerId) || Boolean(policies.get(String(userId))?.[permission]);
+}
+
+// A profile with about and avatar blanked unless `canSee` it
+function profileFor(user, canSee) {
+  return canSee(user.id) ? user : { ...user, about: null, avatar: null };
+}
+
+// A user's own contacts, blocks and privacy settings live on their shard - forward as is
+function forwardToOwnShard(method) {
+  return async (req, res) => {
+    try {
+      const response = await makeShardRequest(getShardForUser(req.params.userId), method, req.path, method === 'GET' ? null : req.body);
+      res.status(method === 'POST' ? 201 : 200).json(response);
+    } catch (error) {
+      log.error(`Error forwarding ${method} ${req.path}`, { error: error.message });
+      sendShardError(res, error);
+    }
+  };
+}
+
+// Only existing users can be added as contacts or blocked
+async function requireExistingTarget(req, res, next) {
+  const otherId = req.body.user_id ? String(req.body.user_id) : null;
+  if (!otherId || otherId === req.params.userId) {
+    return next();
+  }
+  try {
+    const policies = await policiesFor(req.params.userId, [otherId]);
+    if (!policies.get(otherId).exists) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    next();
+  } catch (error) {
+    log.error('Error checking user', { error: error.message });
+    sendShardError(res, error);
+  }
+}
+
+for (const list of ['contacts', 'blocks']) {
+  app.get(`/api/users/:userId/${list}`, requireSameUser(req => req.params.userId), forwardToOwnShard('GET'));
+  app.post(`/api/users/:userId/${list}`, requireSameUser(req => req.params.userId), requireExistingTarget, forwardToOwnShard('POST'));
+  app.delete(`/api/users/:userId/${list}/:otherId`, requireSameUser(req => req.params.userId), forwardToOwnShard('DELETE'));
+}
+
+// Privacy settings - { messages, last_seen, profile }, each everyone | contacts | nobody
+app.get('/api/users/:userId/privacy', requireSameUser(req => req.params.userId), forwardToOwnShard('GET'));
+app.patch('/api/users/:userId/privacy', requireSameUser(req => req.params.userId), forwardToOwnShard('PATCH'));
+
+// ==================== ATTACHMENTS ====================
+
+// Raw request body, up to the largest per-type limit - the service applies the real one
+const readUpload = express.raw({ type: () => true, limit: MAX_UPLOAD_BYTES });
+
+// Upload an attachment - ?type=image|file|voice&filename=, Content-Type is the file's MIME type.
+// Answers with the metadata, signed download URLs and an attachment_token to send it with.
+app.post('/api/attachments', (req, res, next) => {
+  readUpload(req, res, error => {
+    if (error) {
+      return res.status(error.status || 400).json({ error: 'Upload rejected', details: error.message });
+    }
+    next();
+  });
+}, async (req, res) => {
+  try {
+    const result = await attachments.upload({
+      userId: req.user.id,
+      type: req.query.type,
+      mimeType: req.get('content-type'),
+      filename: req.query.filename,
+      buffer: Buffer.isBuffer(req.body) ? req.body : null
+    });
+    res.status(201).json(result);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: 'Upload rejected', details: error.message });
+    }
+    log.error('Error storing attachment', { error: error.message });
+    res.status(500).json({ error: 'Failed to store attachment', details: error.message });
+  }
+});
+
+// Download an attachment (original or thumbnail) from a signed URL - no token needed
+app.get('/api/attachments/:attachmentId/:variant', async (req, res) => {
+  try {
+    const { attachmentId, variant } = req.params;
+    const blob = await attachments.open(attachmentId, variant, req.query.expires, req.query.signature);
+
+    // Images and voice notes display inline; everything else downloads
+    const inline = /^(image|audio)\//.test(blob.contentType);
+    const asciiName = blob.filename.replace(/[^\x20-\x7e]/g, '_');
+    res.set({
+      'Content-Type': blob.contentType,
+      'Content-Length': String(blob.size),
+      'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(blob.filename)}`,
+      'Cache-Control': `private, max-age=${Math.max(0, blob.expires - Math.floor(Date.now() / 1000))}`,
+      'X-Content-Type-Options': 'nosniff'
+    });
+    blob.stream.on('error', error => {
+      log.error('Error streaming attachment', { error: error.message });
+      res.destroy(error);
+    });
+    blob.stream.pipe(res);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    log.error('Error reading attachment', { error: error.message });
+    res.status(503).json({ error: 'Service unavailable', details: error.message });
+  }
+});
+
+// ==================== INBOX ====================
+
+const INBOX_DEFAULT_LIMIT = 50;
+const INBOX_MAX_LIMIT = 200;
+
+// Newest first, ties broken by message id like the shards' ORDER BY
+function compareLastMessages(a, b) {
+  const diff = new Date(b.created_at) - new Date(a.created_at);
+  if (diff !== 0) {
+    return diff;
+  }
+  return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+}
+
+// A user's conversations, most recent first - each shard holds the part of every conversation
+// its users sent, so the entries are merged per counterpart: the newest last message wins and
+// unread counts add up. (A sender mid-migration exists on two shards and may be counted twice.)
+app.get('/api/inbox/:userId', requireSameUser(req => req.params.userId), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || INBOX_DEFAULT_LIMIT, 1), INBOX_MAX_LIMIT);
+
+    log.info(`Fetching inbox for user ${userId} from all shards`);
+    // Each shard holds only part of the inbox - one that is down leaves the rest usable
+    const responses = await Promise.allSettled(
+      SHARDS.map(shard => makeShardRequest(shard, 'GET', `/api/inbox/${encodeURIComponent(userId)}`))
+    );
+
+    const parts = [];
+    const failed = [];
+    responses.forEach((response, i) => {
+      if (response.status === 'rejected') {
+        log.warn(`Inbox on shard ${SHARDS[i].id} failed`, { error: response.reason.message });
+        failed.push(SHARDS[i].id);
+        return;
+      }
+      parts.push(response.value);
+    });
+    if (failed.length === SHARDS.length) {
+      return res.status(503).json({ error: 'Service unavailable', details: 'No shard answered the inbox request' });
+    }
+
+    const byCounterpart = new Map();
+    parts.flatMap(part => part.entries || []).forEach(entry => {
+      const merged = byCounterpart.get(entry.counterpart_id);
+      if (!merged) {
+        byCounterpart.set(entry.counterpart_id, { ...entry });
+        return;
+      }
+      if (compareLastMessages(entry.last_message, merged.last_message) < 0) {
+        merged.last_message = entry.last_message;
+      }
+      merged.unread_count += entry.unread_count;
+    });
+
+    const conversations = [...byCounterpart.values()]
+      .sort((a, b) => compareLastMessages(a.last_message, b.last_message));
+
+    res.json({
+      conversations: conversations.slice(0, limit),
+      total: conversations.length,
+      unread_total: conversations.reduce((sum, c) => sum + c.unread_count, 0),
+      user_id: userId,
+      shards_queried: SHARDS.map(s => s.id),
+      shards_failed: failed
+    });
+  } catch (error) {
+    log.error('Error fetching inbox', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+// ==================== PRESENCE ====================
+
+const MAX_PRESENCE_IDS = 100;
+
+// Online status and last-seen for a batch of users - ?ids=1,2,3
+// (last_seen is null for users whose privacy settings hide it from the caller)
+app.get('/api/presence', async (req, res) => {
+  const userIds = [...new Set(String(req.query.ids || '').split(',').map(id => id.trim()).filter(Boolean))];
+
+  if (userIds.length === 0) {
+    return res.status(400).json({ error: 'Missing ids' });
+  }
+  if (userIds.length > MAX_PRESENCE_IDS) {
+    return res.status(400).json({ error: `At most ${MAX_PRESENCE_IDS} ids per request` });
+  }
+
+  try {
+    const presence = await lookupPresence(busClient, userIds);
+    const canSee = await visibility(req.user.id, userIds, 'can_see_last_seen');
+    res.json({ presence: presence.map(entry => (canSee(entry.user_id) ? entry : { ...entry, last_seen: null })) });
+  } catch (error) {
+    log.error('Error reading presence', { error: error.message });
+    res.status(503).json({ error: 'Service unavailable', details: error.message });
+  }
+});
+
+// ==================== SEARCH ====================
+
+const SEARCH_MAX_WINDOW = 200; // offset + limit - shards return at most this many hits each
+
+// Order hits from different shards: best rank first, then newest, then id
+function compareSearchHits(a, b) {
+  if (b.rank !== a.rank) {
+    return b.rank - a.rank;
+  }
+  const diff = new Date(b.created_at) - new Date(a.created_at);
+  if (diff !== 0) {
+    return diff;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+// Search a user's messages - scatter to the shards that can hold their conversations
+// (all of them, or just the two involved when ?with= narrows it to one conversation),
+// then gather by rank and cut the requested page
+app.get('/api/search', requireSameUser(req => req.query.user_id), async (req, res) => {
+  try {
+    const { user_id, q, with: withUserId } = req.query;
+    const limit = Math.max(parseInt(req.query.limit) || 20, 1);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    if (!q || !String(q).trim()) {
+      return res.status(400).json({ error: 'Missing search query' });
+    }
+    if (offset + limit > SEARCH_MAX_WINDOW) {
+      return res.status(400).json({ error: `offset + limit must be at most ${SEARCH_MAX_WINDOW}` });
+    }
+
+    const shards = withUserId
+      ? [...new Set([getShardForUser(user_id), getShardForUser(withUserId)])]
+      : SHARDS;
+
+    const params = new URLSearchParams({ user_id, q, limit: String(offset + limit) });
+    if (withUserId) {
+      params.set('with', withUserId);
+    }
+
+    log.info(`Searching messages for user ${user_id} on shards ${shards.map(s => s.id).join(', ')}`);
+    const responses = await Promise.allSettled(
+      shards.map(shard => makeShardRequest(shard, 'GET', `/api/search?${params}`))
+    );
+
+    const hits = [];
+    const seen = new Set();
+    const failed = [];
+    let shardHasMore = false;
+    responses.forEach((response, i) => {
+      if (response.status === 'rejected') {
+        log.warn(`Search on shard ${shards[i].id} failed`, { error: response.reason.message });
+        failed.push(shards[i].id);
+        return;
+      }
+      shardHasMore = shardHasMore || response.value.has_more;
+      (response.value.results || []).forEach(hit => {
+        if (!seen.has(hit.id)) {
+          seen.add(hit.id);
+          hits.push(hit);
+        }
+      });
+    });
+    if (failed.length === shards.length) {
+      return res.status(503).json({ error: 'Service unavailable', details: 'No shard answered the search' });
+    }
+    hits.sort(compareSearchHits);
+
+    res.json({
+      results: hits.slice(offset, offset + limit),
+      query: q,
+      offset,
+      limit,
+      has_more: hits.length > offset + limit || shardHasMore,
+      shards_queried: shards.map(s => s.id),
+      shards_failed: failed
+    });
+  } catch (error) {
+    log.error('Error searching messages', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+// ==================== INTERNAL ====================
+
+// Relay a delivery/read ack from the recipient's shard to the shard that stores the message
+app.post('/api/internal/receipts', requireService, async (req, res) => {
+  try {
+    const { from_user_id, message_ids, status, by_user_id } = req.body;
+
+    if (!from_user_id || !message_ids || !status || !by_user_id) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const shard = getShardForUser(from_user_id);
+    const response = await makeShardRequest(shard, 'POST', '/api/messages/status', { message_ids, status, by_user_id });
+    res.json(response);
+  } catch (error) {
+    log.error('Error relaying receipt', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+// Hand a push for a user homed elsewhere to the shard that holds their offline queue
+app.post('/api/internal/deliver', requireService, async (req, res) => {
+  try {
+    const { user_id, payload } = req.body;
+
+    if (!user_id || !payload) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const shard = getShardForUser(user_id);
+    const response = await makeShardRequest(shard, 'POST', '/api/queue/deliver', { user_id, payload });
+    res.json(response);
+  } catch (error) {
+    log.error('Error relaying delivery', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+// Privacy policies of users on any shard for one viewer, for a shard checking a send - ?viewer=&ids=
+app.get('/api/internal/privacy', requireService, async (req, res) => {
+  const { viewer } = req.query;
+  const ids = String(req.query.ids || '').split(',').filter(Boolean);
+  if (!viewer || ids.length === 0) {
+    return res.status(400).json({ error: 'Missing viewer or ids' });
+  }
+
+  try {
+    res.json({ policies: await loadPolicies(viewer, ids) });
+  } catch (error) {
+    log.error('Error loading privacy policies', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+// ==================== OFFLINE QUEUE ====================
+
+// Inspect a user's offline queue (depth and oldest unacknowledged entry)
+async function getQueue(req, res) {
+  try {
+    const shard = getShardForUser(req.params.userId);
+    const response = await makeShardRequest(shard, 'GET', `/api/queue/${encodeURIComponent(req.params.userId)}`);
+    res.json(response);
+  } catch (error) {
+    log.error('Error reading queue', { error: error.message });
+    sendShardError(res, error);
+  }
+}
+
+app.get('/api/queue/:userId', requireSameUser(req => req.params.userId), getQueue);
+app.get('/api/admin/queue/:userId', requireAdmin, getQueue);
+
+// ==================== GROUPS ====================
+
+// Push a stored group message to every member, grouped by the shard they live on
+async function fanOutGroupMessage(message, memberIds) {
+  const byShard = new Map();
+  memberIds.forEach(userId => {
+    const shard = getShardForUser(userId);
+    byShard.set(shard, [...(byShard.get(shard) || []), userId]);
+  });
+
+  const results = await Promise.allSettled(
+    [...byShard.entries()].map(([shard, userIds]) =>
+      makeShardRequest(shard, 'POST', '/api/groups/deliver', { message, user_ids: userIds })
+    )
+  );
+
+  const delivered = [];
+  results.forEach(result => {
+    if (result.status === 'fulfilled') {
+      delivered.push(...(result.value.delivered || []));
+    } else {
+      log.warn('Group fan-out to a shard failed', { error: result.reason.message });
+    }
+  });
+  return delivered;
+}
+
+// Group IDs are UUIDs the gateway picked - anything else can't name a group
+const GROUP_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+app.param('groupId', (req, res, next, groupId) => {
+  if (!GROUP_ID_PATTERN.test(groupId)) {
+    return res.status(400).json({ error: 'Invalid group ID' });
+  }
+  next();
+});
+
+// Create a group - the gateway picks the id so it knows the home shard up front
+app.post('/api/groups', async (req, res) => {
+  try {
+    const { name, member_ids = [] } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const groupId = crypto.randomUUID();
+    const shard = getShardForGroup(groupId);
+    log.info(`Creating group ${groupId} on shard ${shard.id}`);
+
+    const response = await makeShardRequest(shard, 'POST', '/api/groups', {
+      id: groupId,
+      name,
+      actor_id: req.user.id,
+      member_ids
+    });
+    res.status(201).json(response);
+  } catch (error) {
+    log.error('Error creating group', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+// List the current user's groups - groups are spread over every shard
+app.get('/api/groups', async (req, res) => {
   try {
-    console.log('[GATEWAY] Fetching all users from all shards');
-    
     const promises = SHARDS.map(shard =>
-      makeShardRequest(shard, 'GET', '/api/users')
-        .then(data => data.users || [])
+      makeShardRequest(shard, 'GET', `/api/groups?member=${encodeURIComponent(req.user.id)}`)
+        .then(data => data.groups || [])
         .catch(err => {
-          console.warn(`[GATEWAY] Failed to get users from shard ${shard.id}:`, err.message);
+          log.warn(`Failed to get groups from shard ${shard.id}`, { error: err.message });
           return [];
         })
     );
 
-    const allUsers = await Promise.all(promises);
-    const users = allUsers.flat();
+    const groups = (await Promise.all(promises)).flat();
+    groups.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
 
-    res.json({ users, total: users.length });
+    res.json({ groups, total: groups.length });
   } catch (error) {
-    console.error('[GATEWAY] Error fetching users:', error.message);
+    log.error('Error fetching groups', { error: error.message });
     res.status(503).json({ error: 'Service unavailable', details: error.message });
   }
 });
 
-// Health check for all shards
+// Get a group and its members
+app.get('/api/groups/:groupId', async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const response = await makeShardRequest(getShardForGroup(groupId), 'GET', `/api/groups/${encodeURIComponent(groupId)}`, null, req.user.id);
+    res.json(response);
+  } catch (error) {
+    log.error('Error fetching group', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+// Membership changes - join, leave/remove, add member, promote admin
+app.post('/api/groups/:groupId/join', async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const response = await makeShardRequest(getShardForGroup(groupId), 'POST', `/api/groups/${encodeURIComponent(groupId)}/join`, { actor_id: req.user.id });
+    res.json(response);
+  } catch (error) {
+    log.error('Error joining group', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+app.post('/api/groups/:groupId/leave', async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const response = await makeShardRequest(
+      getShardForGroup(groupId),
+      'DELETE',
+      `/api/groups/${encodeURIComponent(groupId)}/members/${encodeURIComponent(req.user.id)}`,
+      { actor_id: req.user.id }
+    );
+    res.json(response);
+  } catch (error) {
+    log.error('Error leaving group', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+app.post('/api/groups/:groupId/members', async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    if (!req.body.user_id) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    const response = await makeShardRequest(getShardForGroup(groupId), 'POST', `/api/groups/${encodeURIComponent(groupId)}/members`, {
+      user_id: req.body.user_id,
+      actor_id: req.user.id
+    });
+    res.json(response);
+  } catch (error) {
+    log.error('Error adding group member', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+app.delete('/api/groups/:groupId/members/:userId', async (req, res) => {
+  try {
+    const { groupId, userId } = req.params;
+    const response = await makeShardRequest(
+      getShardForGroup(groupId),
+      'DELETE',
+      `/api/groups/${encodeURIComponent(groupId)}/members/${encodeURIComponent(userId)}`,
+      { actor_id: req.user.id }
+    );
+    res.json(response);
+  } catch (error) {
+    log.error('Error removing group member', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+app.post('/api/groups/:groupId/admins', async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    if (!req.body.user_id) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    const response = await makeShardRequest(getShardForGroup(groupId), 'POST', `/api/groups/${encodeURIComponent(groupId)}/admins`, {
+      user_id: req.body.user_id,
+      actor_id: req.user.id
+    });
+    res.json(response);
+  } catch (error) {
+    log.error('Error promoting group admin', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+// Send a group message - stored on the home shard, then fanned out to every member's shard
+app.post('/api/groups/:groupId/messages', async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const { content } = req.body;
+
+    if (!content) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const shard = getShardForGroup(groupId);
+    const stored = await makeShardRequest(shard, 'POST', `/api/groups/${encodeURIComponent(groupId)}/messages`, {
+      actor_id: req.user.id,
+      content
+    });
+
+    const delivered = await fanOutGroupMessage(stored.message, stored.member_ids);
+    log.info(`Group message ${stored.message.id} delivered live to ${delivered.length}/${stored.member_ids.length} members`);
+
+    res.json({ ...stored.message, delivered_to: delivered });
+  } catch (error) {
+    log.error('Error sending group message', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+// Group history in the home shard's sequence order
+app.get('/api/groups/:groupId/messages', async (req, res) => {
+  try {
+    const { groupId } = req.params;
+    const afterSeq = parseInt(req.query.after_seq) || 0;
+    const limit = parseInt(req.query.limit) || 100;
+
+    const response = await makeShardRequest(
+      getShardForGroup(groupId),
+      'GET',
+      `/api/groups/${encodeURIComponent(groupId)}/messages?after_seq=${afterSeq}&limit=${limit}`,
+      null,
+      req.user.id
+    );
+    res.json(response);
+  } catch (error) {
+    log.error('Error fetching group messages', { error: error.message });
+    sendShardError(res, error);
+  }
+});
+
+// ==================== RESHARDING ADMIN ====================
+
+// Start moving a user or a hash range to another shard
+app.post('/api/admin/reshard', requireAdmin, (req, res) => {
+  try {
+    const job = resharding.start(req.body || {});
+    res.status(202).json({ migration: job });
+  } catch (error) {
+    log.error('Error starting migration', { error: error.message });
+    res.status(400).json({ error: 'Failed to start migration', details: error.message });
+  }
+});
+
+// List migrations and their progress
+app.get('/api/admin/reshard', requireAdmin, (req, res) => {
+  res.json({ migrations: resharding.listJobs() });
+});
+
+// Get one migration's progress
+app.get('/api/admin/reshard/:migrationId', requireAdmin, (req, res) => {
+  try {
+    res.json({ migration: resharding.getJob(req.params.migrationId) });
+  } catch (error) {
+    res.status(404).json({ error: 'Migration not found', details: error.message });
+  }
+});
+
+// Clean up the source of a migration started with auto_cleanup: false
+app.post('/api/admin/reshard/:migrationId/complete', requireAdmin, async (req, res) => {
+  try {
+    const job = await resharding.complete(req.params.migrationId);
+    res.json({ migration: job });
+  } catch (error) {
+    log.error('Error completing migration', { error: error.message });
+    res.status(409).json({ error: 'Failed to complete migration', details: error.message });
+  }
+});
+
+// Roll back a migration that has not been cleaned up
+app.post('/api/admin/reshard/:migrationId/rollback', requireAdmin, async (req, res) => {
+  try {
+    const job = await resharding.rollback(req.params.migrationId);
+    res.json({ migration: job });
+  } catch (error) {
+    log.error('Error rolling back migration', { error: error.message });
+    res.status(409).json({ error: 'Failed to roll back migration', details: error.message });
+  }
+});
+
+// Current routing overrides
+app.get('/api/admin/routing', requireAdmin, (req, res) => {
+  res.json(routingTable.toJSON());
+});
+
+// Backup replication checkpoint and lag for every shard
+app.get('/api/admin/replication', requireAdmin, async (req, res) => {
+  const responses = await Promise.allSettled(
+    SHARDS.map(shard => makeShardRequest(shard, 'GET', '/api/replication/status'))
+  );
+
+  res.json({
+    shards: responses.map((response, i) => response.status === 'fulfilled'
+      ? response.value
+      : { shard_id: SHARDS[i].id, error: response.reason.message })
+  });
+});
+
+// Compare each shard's primary and backup databases - Body: { shard_id?, tables?, repair? }
+app.post('/api/admin/consistency', requireAdmin, async (req, res) => {
+  const { shard_id, tables, repair } = req.body;
+  const shards = shard_id ? SHARDS.filter(s => s.id === parseInt(shard_id)) : SHARDS;
+  if (shards.length === 0) {
+    return res.status(400).json({ error: 'Unknown shard', details: shard_id });
+  }
+
+  const responses = await Promise.allSettled(
+    shards.map(shard => makeShardRequest(shard, 'POST', '/api/consistency/check', { tables, repair }))
+  );
+
+  const reports = responses.map((response, i) => {
+    if (response.status === 'fulfilled') {
+      return response.value;
+    }
+    const error = response.reason;
+    return { shard_id: shards[i].id, error: error.response ? error.response.data : error.message };
+  });
+  res.json({
+    consistent: reports.every(r => r.consistent === true),
+    shards: reports
+  });
+});
+
+// Health check for all shards - probe results, breaker state, error rate and latency per endpoint
 app.get('/api/health/shards', async (req, res) => {
   try {
     const healthChecks = SHARDS.map(shard => ({
       shard: shard.id,
       primary: shard.primary,
       backup: shard.backup,
-      health: shardHealth.get(shard.id)
+      preferred: shardHealth.preferredEndpoint(shard),
+      health: shardHealth.shardStatus(shard.id)
     }));
 
     res.json({ shards: healthChecks });
   } catch (error) {
-    console.error('[GATEWAY] Error checking shard health:', error.message);
+    log.error('Error checking shard health', { error: error.message });
     res.status(500).json({ error: 'Failed to check shard health', details: error.message });
   }
 });
 
-app.listen(PORT, () => {
-  console.log(`[GATEWAY] Server listening on port ${PORT}`);
-  console.log(`[GATEWAY] Shards: ${SHARDS.map(s => s.id).join(', ')}`);
+// Single client WebSocket endpoint, proxied to the user's shard with failover
+const server = http.createServer(app);
+// Shards' cache events, relayed to clients that open the cache monitor
+const cacheEvents = new CacheEventFeed(BUS_URL);
+cacheEvents.start().catch(error => {
+  log.error('Cache event feed unavailable', { error: error.message });
+});
+
+const wss = attachWebSocketProxy(server, getShardForUser, shardHealth, rateLimiter, cacheEvents, userRegistry);
+metrics.gauge('websocket_connected_clients', 'Client WebSockets open on the gateway', [], function () {
+  this.set(wss.clients.size);
+});
+
+// Overrides from gateways that kept the routing table on disk are imported once into an empty table
+async function importRoutingFile() {
+  const filePath = process.env.ROUTING_TABLE_FILE || './data/routing-table.json';
+  if (fs.existsSync(filePath)) {
+    await routingTable.seed(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  }
+}
+
+async function start() {
+  // Routing before the first request - until then moved users would be sent to their old shard
+  await routingTable.connect();
+  await importRoutingFile();
+  await resharding.connect();
+
+  server.listen(PORT, () => {
+    log.info(`Server listening on port ${PORT}`);
+    log.info(`WebSocket endpoint: ws://0.0.0.0:${PORT}/ws`);
+    log.info(`Shards: ${SHARDS.map(s => s.id).join(', ')}`);
+  });
+}
+
+start().catch(error => {
+  log.error('Gateway failed to start', { error: error.message });
+  process.exit(1);
 });
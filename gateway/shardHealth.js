@@ -0,0 +1,269 @@
+/**
+ * Shard Health Monitor
+ * Probes every shard endpoint (primary and backup) in the background and keeps a
+ * circuit breaker per endpoint. User requests and probes both feed the breaker and
+ * a rolling window of outcomes, so routing can prefer the endpoint that is actually
+ * healthy and skip one that keeps failing instead of waiting for it to time out.
+ */
+
+const axios = require('axios');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ service: 'gateway', component: 'health' });
+
+const PROBE_INTERVAL = 5000;
+const PROBE_TIMEOUT = 2000;
+const FAILURE_THRESHOLD = 5;   // consecutive failures that open a closed breaker
+const OPEN_DURATION = 10000;   // how long an open breaker rejects requests before a trial
+const WINDOW_SIZE = 100;       // outcomes kept for error rate and latency
+
+/**
+ * closed → (FAILURE_THRESHOLD failures) → open → (OPEN_DURATION) → half_open
+ * half_open lets a single trial through: success closes it, failure opens it again.
+ * Probes are reported separately (onProbe) and never settle or free the trial slot.
+ */
+class CircuitBreaker {
+  constructor() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  // Whether a request may go out now - claims the half-open trial slot if it does
+  tryAcquire() {
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < OPEN_DURATION) {
+        return false;
+      }
+      this.state = 'half_open';
+    }
+    if (this.state === 'half_open') {
+      if (this.trialInFlight) {
+        return false;
+      }
+      this.trialInFlight = true;
+    }
+    return true;
+  }
+
+  onSuccess() {
+    this.consecutiveFailures = 0;
+    this.trialInFlight = false;
+    this.state = 'closed';
+    this.openedAt = null;
+  }
+
+  onFailure() {
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+    if (this.state === 'half_open' || (this.state === 'closed' && this.consecutiveFailures >= FAILURE_THRESHOLD)) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    } else if (this.state === 'open') {
+      this.openedAt = Date.now();
+    }
+  }
+
+  onProbe(ok) {
+    if (ok) {
+      // A probe that gets through an open breaker's endpoint makes it eligible for a trial
+      if (this.state === 'open') {
+        this.state = 'half_open';
+      }
+      return;
+    }
+
+    if (this.state === 'closed') {
+      this.consecutiveFailures++;
+      if (this.consecutiveFailures >= FAILURE_THRESHOLD) {
+        this.state = 'open';
+        this.openedAt = Date.now();
+      }
+    } else if (!this.trialInFlight) {
+      // A running trial decides on its own
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  toJSON() {
+    return {
+      state: this.state,
+      consecutive_failures: this.consecutiveFailures,
+      opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retry_at: this.state === 'open' ? new Date(this.openedAt + OPEN_DURATION).toISOString() : null
+    };
+  }
+}
+
+class EndpointHealth {
+  constructor(name, url) {
+    this.name = name;
+    this.url = url;
+    this.breaker = new CircuitBreaker();
+    this.samples = []; // [{ ok, latency }]
+    this.probe = { status: 'unknown', checked_at: null, last_ok_at: null, latency_ms: null, error: null };
+  }
+
+  addSample(ok, latency) {
+    this.samples.push({ ok, latency });
+    if (this.samples.length > WINDOW_SIZE) {
+      this.samples.shift();
+    }
+  }
+
+  // Outcome of a request that went through tryAcquire()
+  record(ok, latency) {
+    this.addSample(ok, latency);
+    if (ok) {
+      this.breaker.onSuccess();
+    } else {
+      this.breaker.onFailure();
+    }
+  }
+
+  recordProbe(ok, latency) {
+    this.addSample(ok, latency);
+    this.breaker.onProbe(ok);
+  }
+
+  // Lower is better: closed before half-open before open, then probe result
+  rank() {
+    const breakerRank = { closed: 0, half_open: 2, open: 4 }[this.breaker.state];
+    const probeRank = this.probe.status === 'ok' ? 0 : this.probe.status === 'down' ? 1 : 0.5;
+    return breakerRank + probeRank;
+  }
+
+  toJSON() {
+    const latencies = this.samples.map(s => s.latency).sort((a, b) => a - b);
+    const errors = this.samples.filter(s => !s.ok).length;
+    return {
+      url: this.url,
+      breaker: this.breaker.toJSON(),
+      probe: this.probe,
+      samples: this.samples.length,
+      error_rate: this.samples.length ? Number((errors / this.samples.length).toFixed(3)) : 0,
+      latency_ms: {
+        avg: latencies.length ? Math.round(latencies.reduce((sum, l) => sum + l, 0) / latencies.length) : null,
+        p95: latencies.length ? latencies[Math.min(latencies.length - 1, Math.floor(latencies.length * 0.95))] : null
+      }
+    };
+  }
+}
+
+class ShardHealthMonitor {
+  constructor(shards) {
+    this.shards = shards;
+    this.endpoints = new Map(); // shardId -> { primary, backup }
+    shards.forEach(shard => {
+      this.endpoints.set(shard.id, {
+        primary: new EndpointHealth('primary', shard.primary),
+        backup: new EndpointHealth('backup', shard.backup)
+      });
+    });
+  }
+
+  start() {
+    this.probeAll();
+    setInterval(() => this.probeAll(), PROBE_INTERVAL);
+    log.info(`Health prober started (every ${PROBE_INTERVAL}ms)`);
+  }
+
+  async probeAll() {
+    const probes = [];
+    for (const endpoints of this.endpoints.values()) {
+      probes.push(this.probeEndpoint(endpoints.primary), this.probeEndpoint(endpoints.backup));
+    }
+    await Promise.allSettled(probes);
+  }
+
+  async probeEndpoint(endpoint) {
+    const started = Date.now();
+    const previous = endpoint.probe.status;
+    try {
+      const response = await axios.get(`${endpoint.url}/health`, { timeout: PROBE_TIMEOUT });
+      const latency = Date.now() - started;
+      endpoint.recordProbe(true, latency);
+      endpoint.probe = {
+        status: response.data.status === 'ok' ? 'ok' : 'degraded',
+        checked_at: new Date().toISOString(),
+        last_ok_at: new Date().toISOString(),
+        latency_ms: latency,
+        error: null
+      };
+    } catch (error) {
+      endpoint.recordProbe(false, Date.now() - started);
+      endpoint.probe = {
+        ...endpoint.probe,
+        status: 'down',
+        checked_at: new Date().toISOString(),
+        latency_ms: null,
+        error: error.message
+      };
+    }
+
+    if (previous !== endpoint.probe.status && previous !== 'unknown') {
+      log.warn(`${endpoint.url} is now ${endpoint.probe.status} (was ${previous})`);
+    }
+  }
+
+  /**
+   * A shard's endpoints, healthiest first (primary wins a tie)
+   */
+  rankedEndpoints(shard) {
+    const { primary, backup } = this.endpoints.get(shard.id);
+    return backup.rank() < primary.rank() ? [backup, primary] : [primary, backup];
+  }
+
+  /**
+   * Endpoint name to open a long-lived connection to, avoiding `avoid` when the other one is usable
+   */
+  preferredEndpoint(shard, avoid = null) {
+    const ranked = this.rankedEndpoints(shard).filter(e => e.breaker.state !== 'open');
+    const choice = ranked.find(e => e.name !== avoid) || ranked[0];
+    if (choice) {
+      return choice.name;
+    }
+    return avoid === 'primary' ? 'backup' : 'primary';
+  }
+
+  record(shardId, name, ok, latency) {
+    this.endpoints.get(shardId)[name].record(ok, latency);
+  }
+
+  // Healthy when at least one endpoint's breaker is not open
+  isShardAvailable(shardId) {
+    const { primary, backup } = this.endpoints.get(shardId);
+    return primary.breaker.state !== 'open' || backup.breaker.state !== 'open';
+  }
+
+  shardStatus(shardId) {
+    const { primary, backup } = this.endpoints.get(shardId);
+    return {
+      healthy: this.isShardAvailable(shardId),
+      primary: primary.toJSON(),
+      backup: backup.toJSON()
+    };
+  }
+
+  // Breaker states only, for compact listings
+  shardSummary(shardId) {
+    const { primary, backup } = this.endpoints.get(shardId);
+    return {
+      healthy: this.isShardAvailable(shardId),
+      primary: primary.breaker.state,
+      backup: backup.breaker.state
+    };
+  }
+
+  summary() {
+    const summary = {};
+    for (const shardId of this.endpoints.keys()) {
+      summary[shardId] = this.shardSummary(shardId);
+    }
+    return summary;
+  }
+}
+
+module.exports = { ShardHealthMonitor, CircuitBreaker };
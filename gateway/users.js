@@ -0,0 +1,99 @@
+/**
+ * User Registry
+ * Gateway-side state about accounts, kept in the shared bus Redis so every gateway
+ * instance agrees:
+ *   - ID allocation: new user IDs come from one counter (`user_ids:next`). A user lives on
+ *     the shard their ID resolves to, so to place a user on a chosen shard the registry
+ *     draws IDs until one resolves there. IDs drawn for other shards are not wasted - they
+ *     wait in that shard's spare list (`user_ids:spare:<shardId>`) for its next user, or
+ *     for the next user placed on any shard.
+ *   - Deactivated accounts (`users:deactivated`): their tokens are refused until they expire.
+ * If Redis is unreachable deactivation checks let requests through, like the rate limiter,
+ * but IDs cannot be allocated.
+ */
+
+const redis = require('redis');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ service: 'gateway', component: 'users' });
+
+const NEXT_ID_KEY = 'user_ids:next';
+const DEACTIVATED_KEY = 'users:deactivated';
+// Counter start, above the seed users and any hand-picked IDs from signup
+const FIRST_ALLOCATED_ID = parseInt(process.env.USER_ID_START) || 1000;
+// IDs spread evenly over the ring, so this is only reached with a misconfigured ring
+const MAX_DRAWS = 1000;
+
+function spareKey(shardId) {
+  return `user_ids:spare:${shardId}`;
+}
+
+class UserRegistry {
+  constructor(busUrl, routingTable) {
+    this.routingTable = routingTable;
+    this.client = redis.createClient({ url: busUrl, disableOfflineQueue: true });
+    this.client.on('error', (err) => log.error('User registry Redis error', { error: err.message }));
+  }
+
+  async connect() {
+    await this.client.connect();
+    await this.client.set(NEXT_ID_KEY, String(FIRST_ALLOCATED_ID - 1), { NX: true });
+    log.info('Connected to user registry');
+  }
+
+  /**
+   * A fresh user ID that resolves to `shardId` (or to any shard when omitted)
+   * @returns {Object} { userId, shardId }
+   */
+  async allocate(shardId = null) {
+    if (shardId === null) {
+      const userId = (await this.popAnySpare()) || String(await this.client.incr(NEXT_ID_KEY));
+      return { userId, shardId: this.routingTable.resolve(userId) };
+    }
+
+    // Spares first - re-filed if a migration has moved their hash range since they were drawn
+    let spare;
+    while ((spare = await this.client.lPop(spareKey(shardId)))) {
+      const owner = this.routingTable.resolve(spare);
+      if (owner === shardId) {
+        return { userId: spare, shardId };
+      }
+      await this.client.rPush(spareKey(owner), spare);
+    }
+
+    for (let draws = 0; draws < MAX_DRAWS; draws++) {
+      const userId = String(await this.client.incr(NEXT_ID_KEY));
+      const owner = this.routingTable.resolve(userId);
+      if (owner === shardId) {
+        return { userId, shardId };
+      }
+      await this.client.rPush(spareKey(owner), userId);
+    }
+    throw new Error(`No user ID for shard ${shardId} after ${MAX_DRAWS} draws`);
+  }
+
+  /**
+   * A spare ID from the longest spare list, or null when there are none
+   */
+  async popAnySpare() {
+    const shardIds = [...this.routingTable.ring.nodes.keys()];
+    const lengths = await Promise.all(shardIds.map(id => this.client.lLen(spareKey(id))));
+    const longest = Math.max(0, ...lengths);
+    return longest === 0 ? null : this.client.lPop(spareKey(shardIds[lengths.indexOf(longest)]));
+  }
+
+  async markDeactivated(userId) {
+    await this.client.sAdd(DEACTIVATED_KEY, String(userId));
+  }
+
+  async isDeactivated(userId) {
+    try {
+      return await this.client.sIsMember(DEACTIVATED_KEY, String(userId));
+    } catch (error) {
+      log.warn('Deactivation check skipped', { error: error.message });
+      return false;
+    }
+  }
+}
+
+module.exports = { UserRegistry };
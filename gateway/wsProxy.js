@@ -0,0 +1,233 @@
+/**
+ * WebSocket Proxy
+ * Clients open a single socket to the gateway's /ws. After a token-checked `register`,
+ * the gateway opens an upstream socket to the user's owning shard, forwards client
+ * messages to it and relays pushes back. The upstream goes to whichever of the shard's
+ * endpoints the health monitor prefers; if it drops, the gateway reconnects to the other
+ * endpoint when that one is usable and re-registers - the shard's offline queue replays
+ * anything unacknowledged, so the client never has to reconnect. Messages from a
+ * registered client pass the `ws:<type>` rate limits before they are forwarded.
+ * Tokens of deactivated users are refused at register.
+ * `subscribe_cache_events` is answered by the gateway itself: the shards' cache events
+ * that involve the registered user are relayed until `unsubscribe_cache_events`.
+ */
+
+const WebSocket = require('ws');
+const { verifyToken } = require('./auth');
+const { createLogger, runWithRequestId, acceptRequestId } = require('./logger');
+
+const log = createLogger({ service: 'gateway', component: 'ws' });
+
+const RECONNECT_DELAY_MS = 1000;
+const MAX_BUFFERED_MESSAGES = 100;
+
+function toWebSocketUrl(httpUrl) {
+  return `${httpUrl.replace(/^http/, 'ws')}/ws`;
+}
+
+class ProxiedConnection {
+  constructor(client, ip, getShardForUser, shardHealth, rateLimiter, cacheEvents, userRegistry) {
+    this.client = client;
+    this.ip = ip;
+    this.getShardForUser = getShardForUser;
+    this.shardHealth = shardHealth;
+    this.rateLimiter = rateLimiter;
+    this.cacheEvents = cacheEvents;
+    this.userRegistry = userRegistry;
+    this.stopCacheEvents = null;
+    this.userId = null;
+    this.token = null;
+    this.shard = null;
+    this.endpoint = null;
+    this.failedEndpoint = null;
+    this.upstream = null;
+    this.buffer = []; // client messages waiting for the upstream to (re)open
+    this.limitChain = Promise.resolve(); // rate limit checks, in arrival order
+    this.closed = false;
+
+    client.on('message', data => this.handleClientMessage(data));
+    client.on('close', () => this.close());
+    client.on('error', error => log.error('Client WebSocket error', { error: error.message }));
+  }
+
+  sendToClient(payload) {
+    if (this.client.readyState === WebSocket.OPEN) {
+      this.client.send(typeof payload === 'string' ? payload : JSON.stringify(payload));
+    }
+  }
+
+  handleClientMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+      // `null`, numbers, strings and arrays parse too - none of them is a message
+      if (!message || typeof message !== 'object' || Array.isArray(message)) {
+        return this.sendToClient({ type: 'error', message: 'Message must be a JSON object' });
+      }
+      // Every message gets a request ID (the client's own if it sent one) that the shard logs and echoes
+      message.request_id = acceptRequestId(message.request_id);
+    } catch (error) {
+      return this.sendToClient({ type: 'error', message: 'Invalid JSON' });
+    }
+
+    if (message.type === 'register') {
+      return runWithRequestId(message.request_id, () => this.register(message)).catch(error => {
+        log.error('Error registering client', { error: error.message });
+        this.sendToClient({ type: 'error', message: 'Registration failed', request_id: message.request_id });
+      });
+    }
+
+    if (!this.userId) {
+      return this.sendToClient({ type: 'error', message: 'Register with a valid token first' });
+    }
+
+    // The upstream is the sender's owning shard, so only the registered user may send
+    if (message.type === 'send_message' && String(message.from_user_id) !== this.userId) {
+      return this.sendToClient({ type: 'error', message: 'Register with a valid token before sending as this user' });
+    }
+
+    if (message.type === 'subscribe_cache_events' || message.type === 'unsubscribe_cache_events') {
+      return this.setCacheEvents(message.type === 'subscribe_cache_events');
+    }
+
+    // Chained so a slow check never lets a later message overtake an earlier one
+    this.limitChain = this.limitChain
+      .then(() => this.rateLimiter.take(`ws:${message.type}`, { user: this.userId, ip: this.ip }))
+      .then(result => {
+        if (result.allowed) {
+          return this.forward(JSON.stringify(message));
+        }
+        const retryAfter = Math.max(1, Math.ceil(result.retry_after_ms / 1000));
+        log.warn(`Throttled ws:${message.type} per ${result.scope}`, { user_id: this.userId, request_id: message.request_id });
+        this.sendToClient({
+          type: 'error',
+          message: `Rate limit exceeded - retry in ${retryAfter}s`,
+          retry_after: retryAfter,
+          request_id: message.request_id
+        });
+      })
+      .catch(error => log.error('Error forwarding client message', { error: error.message }));
+  }
+
+  setCacheEvents(enabled) {
+    if (this.stopCacheEvents) {
+      this.stopCacheEvents();
+      this.stopCacheEvents = null;
+    }
+    if (enabled) {
+      this.stopCacheEvents = this.cacheEvents.listen(event => {
+        if (event.user_ids.includes(this.userId)) {
+          this.sendToClient(event);
+        }
+      });
+    }
+    this.sendToClient({ type: enabled ? 'cache_events_subscribed' : 'cache_events_unsubscribed' });
+  }
+
+  async register({ user_id, token }) {
+    let claims;
+    try {
+      claims = verifyToken(token);
+    } catch (error) {
+      claims = null;
+    }
+    if (!claims || String(claims.sub) !== String(user_id)) {
+      log.warn(`Rejected WebSocket register for user ${user_id}`);
+      return this.sendToClient({ type: 'error', message: 'Invalid or missing token for this user' });
+    }
+    if (await this.userRegistry.isDeactivated(user_id)) {
+      log.warn(`Rejected WebSocket register for deactivated user ${user_id}`);
+      return this.sendToClient({ type: 'error', message: 'Account deactivated' });
+    }
+
+    this.userId = String(user_id);
+    this.token = token;
+    this.connectUpstream();
+  }
+
+  forward(raw) {
+    if (this.upstream && this.upstream.readyState === WebSocket.OPEN) {
+      this.upstream.send(raw);
+    } else if (this.buffer.length < MAX_BUFFERED_MESSAGES) {
+      this.buffer.push(raw);
+    } else {
+      this.sendToClient({ type: 'error', message: 'Shard unavailable - message dropped' });
+    }
+  }
+
+  connectUpstream() {
+    if (this.upstream) {
+      this.upstream.removeAllListeners();
+      this.upstream.on('error', () => {}); // terminating a connecting socket emits an error
+      this.upstream.terminate();
+    }
+
+    // Re-resolve on every connect so a resharded user follows the routing table
+    const shard = this.getShardForUser(this.userId);
+    // After a drop, avoid the endpoint that just failed unless it is the only usable one
+    const avoid = this.shard && this.shard.id === shard.id ? this.failedEndpoint : null;
+    this.endpoint = this.shardHealth.preferredEndpoint(shard, avoid);
+    this.failedEndpoint = null;
+    this.shard = shard;
+
+    const url = toWebSocketUrl(shard[this.endpoint]);
+    log.info(`Proxying user ${this.userId} to shard ${shard.id} (${this.endpoint}) at ${url}`);
+
+    const upstream = new WebSocket(url);
+    this.upstream = upstream;
+
+    upstream.on('open', () => {
+      upstream.send(JSON.stringify({ type: 'register', user_id: this.userId, token: this.token }));
+      this.buffer.splice(0).forEach(raw => upstream.send(raw));
+    });
+
+    upstream.on('message', data => this.sendToClient(data.toString()));
+
+    upstream.on('error', error => {
+      log.warn(`Upstream WebSocket error for user ${this.userId} on shard ${shard.id} (${this.endpoint}): ${error.message}`);
+    });
+
+    upstream.on('close', () => {
+      if (this.closed) {
+        return;
+      }
+      // Fail over to the other endpoint (if usable) and try again
+      this.failedEndpoint = this.endpoint;
+      log.warn(`Upstream for user ${this.userId} dropped from ${this.endpoint}, reconnecting`);
+      setTimeout(() => {
+        if (!this.closed) {
+          this.connectUpstream();
+        }
+      }, RECONNECT_DELAY_MS);
+    });
+  }
+
+  close() {
+    this.closed = true;
+    if (this.stopCacheEvents) {
+      this.stopCacheEvents();
+    }
+    if (this.upstream) {
+      this.upstream.close();
+    }
+    if (this.userId) {
+      log.info(`User ${this.userId} disconnected from WebSocket`);
+    }
+  }
+}
+
+/**
+ * Attach the /ws endpoint to the gateway's HTTP server
+ */
+function attachWebSocketProxy(server, getShardForUser, shardHealth, rateLimiter, cacheEvents, userRegistry) {
+  const wss = new WebSocket.Server({ server, path: '/ws' });
+
+  wss.on('connection', (client, req) => {
+    log.info('New WebSocket connection');
+    new ProxiedConnection(client, req.socket.remoteAddress, getShardForUser, shardHealth, rateLimiter, cacheEvents, userRegistry);
+  });
+
+  return wss;
+}
+
+module.exports = { attachWebSocketProxy };
@@ -1,16 +1,30 @@
--- SHARD 2: Owns users 2, 5 (user_id % 3 = 2)
+-- SHARD 2: Owns users 3, 6 (placed by the consistent hash ring in shared/shard-core/hashRing.js)
 -- This database only stores data for shard 2's users
 
 CREATE TABLE IF NOT EXISTS users (
   id INT PRIMARY KEY,
   name VARCHAR(100) NOT NULL,
-  shard_id INT NOT NULL
+  shard_id INT NOT NULL,
+  password_hash VARCHAR(100), -- NULL once deactivated
+  about VARCHAR(500),
+  avatar JSONB, -- image attachment metadata, like messages.attachment
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  deactivated_at TIMESTAMP WITH TIME ZONE,
+  -- Privacy settings: everyone | contacts | nobody
+  privacy_messages VARCHAR(10) NOT NULL DEFAULT 'everyone',
+  privacy_last_seen VARCHAR(10) NOT NULL DEFAULT 'everyone',
+  privacy_profile VARCHAR(10) NOT NULL DEFAULT 'everyone'
 );
 
+-- Name-prefix search (GET /api/users?q=)
+CREATE INDEX IF NOT EXISTS idx_users_name_prefix ON users(lower(name) text_pattern_ops);
+
 -- Shard 2 users
-INSERT INTO users (id, name, shard_id) VALUES
-(2, 'Bob Smith', 2),
-(5, 'Evan Davis', 2)
+-- Seed accounts all use the demo password 'password123' (bcrypt hash)
+INSERT INTO users (id, name, shard_id, password_hash) VALUES
+(3, 'Charlie Brown', 2, '$2a$10$l/JmLDsUGtIVUzEYwF1bIOygZmZA8TZuF1b4KDM1bnufwWkRp1LhG'),
+(6, 'Fiona Green', 2, '$2a$10$l/JmLDsUGtIVUzEYwF1bIOygZmZA8TZuF1b4KDM1bnufwWkRp1LhG')
 ON CONFLICT DO NOTHING;
 
 CREATE TABLE IF NOT EXISTS messages (
@@ -19,7 +33,24 @@ CREATE TABLE IF NOT EXISTS messages (
   to_user_id VARCHAR(50) NOT NULL,
   content TEXT NOT NULL,
   created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
-  shard_id VARCHAR(10)
+  shard_id VARCHAR(10),
+  status VARCHAR(10) NOT NULL DEFAULT 'sent',
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  read_at TIMESTAMP WITH TIME ZONE,
+  edited_at TIMESTAMP WITH TIME ZONE,
+  deleted_at TIMESTAMP WITH TIME ZONE, -- soft-delete tombstone: content is cleared, the row stays
+  updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  client_message_id VARCHAR(64), -- sender-chosen idempotency key, unique per sender
+  message_type VARCHAR(10) NOT NULL DEFAULT 'text', -- text, image, file or voice
+  attachment JSONB -- blob metadata (id, mime_type, size, checksum, ...) for non-text messages
+);
+
+-- Previous versions of edited messages (removed when the message is deleted)
+CREATE TABLE IF NOT EXISTS message_edits (
+  id UUID PRIMARY KEY,
+  message_id UUID NOT NULL,
+  previous_content TEXT NOT NULL,
+  edited_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
 );
 
 -- Create indexes for better query performance
@@ -28,15 +59,180 @@ CREATE INDEX IF NOT EXISTS idx_messages_to_user ON messages(to_user_id);
 CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(from_user_id, to_user_id);
 CREATE INDEX IF NOT EXISTS idx_messages_shard ON messages(shard_id);
 CREATE INDEX IF NOT EXISTS idx_messages_created_at ON messages(created_at DESC);
+-- Full-text search on message content (used by /api/search)
+CREATE INDEX IF NOT EXISTS idx_messages_content_fts ON messages USING GIN (to_tsvector('english', content));
+CREATE INDEX IF NOT EXISTS idx_messages_updated_at ON messages(updated_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_messages_client_message_id ON messages(from_user_id, client_message_id) WHERE client_message_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_message_edits_message ON message_edits(message_id);
+
+-- Groups homed on this shard (the gateway picks the home shard from the hash ring on `group:<id>`)
+CREATE TABLE IF NOT EXISTS groups (
+  id UUID PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  created_by VARCHAR(50) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_seq BIGINT NOT NULL DEFAULT 0,
+  shard_id VARCHAR(10)
+);
+
+CREATE TABLE IF NOT EXISTS group_members (
+  group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+  user_id VARCHAR(50) NOT NULL,
+  role VARCHAR(10) NOT NULL DEFAULT 'member',
+  joined_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (group_id, user_id)
+);
+
+-- seq is assigned by the home shard so every member sees the same order
+CREATE TABLE IF NOT EXISTS group_messages (
+  id UUID PRIMARY KEY,
+  group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+  seq BIGINT NOT NULL,
+  from_user_id VARCHAR(50) NOT NULL,
+  content TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  shard_id VARCHAR(10),
+  UNIQUE (group_id, seq)
+);
+
+CREATE INDEX IF NOT EXISTS idx_group_members_user ON group_members(user_id);
+
+-- One row per conversation per user on this shard: the last message here and the user's unread
+-- count (see shared/shard-core/inbox.js). The gateway merges the rows of every shard.
+CREATE TABLE IF NOT EXISTS inbox_entries (
+  user_id VARCHAR(50) NOT NULL,
+  counterpart_id VARCHAR(50) NOT NULL,
+  last_message_id UUID NOT NULL,
+  last_from_user_id VARCHAR(50) NOT NULL,
+  last_content TEXT NOT NULL, -- preview, first 100 characters
+  last_message_type VARCHAR(10) NOT NULL DEFAULT 'text',
+  last_message_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  last_deleted BOOLEAN NOT NULL DEFAULT false,
+  unread_count INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (user_id, counterpart_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_inbox_entries_recent ON inbox_entries(user_id, last_message_at DESC);
 
--- Seed data: Messages involving Shard 2 users (Bob #2, Evan #5)
+-- Each user's contacts and blocked users, stored on the user's shard (see shared/shard-core/privacy.js)
+CREATE TABLE IF NOT EXISTS contacts (
+  user_id VARCHAR(50) NOT NULL,
+  contact_id VARCHAR(50) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, contact_id)
+);
+
+CREATE TABLE IF NOT EXISTS blocks (
+  user_id VARCHAR(50) NOT NULL,
+  blocked_id VARCHAR(50) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, blocked_id)
+);
+
+-- Seed data: Messages sent by Shard 2 users (Charlie #3, Fiona #6)
 DELETE FROM messages;
 
 INSERT INTO messages (id, from_user_id, to_user_id, content, created_at, shard_id) VALUES
-('550e8400-e29b-41d4-a716-446655440001', '1', '2', 'Hi Bob! How''s everything going?', NOW() - INTERVAL '2 hours', '1'),
-('550e8400-e29b-41d4-a716-446655440002', '2', '1', 'Hey Alice! All good, just finished a project.', NOW() - INTERVAL '1 hour 50 minutes', '1'),
-('550e8400-e29b-41d4-a716-446655440003', '1', '2', 'That''s awesome! Want to grab coffee later?', NOW() - INTERVAL '1 hour 40 minutes', '1'),
-('550e8400-e29b-41d4-a716-446655440004', '2', '1', 'Sounds perfect! 3 PM at our usual spot?', NOW() - INTERVAL '1 hour 30 minutes', '1'),
-('550e8400-e29b-41d4-a716-446655440009', '2', '5', 'Evan, can you review the code I pushed yesterday?', NOW() - INTERVAL '2 hours', '2'),
-('550e8400-e29b-41d4-a716-446655440010', '5', '2', 'Sure! I''ll take a look during my lunch break', NOW() - INTERVAL '1 hour 55 minutes', '2')
+('550e8400-e29b-41d4-a716-446655440006', '3', '1', 'Yes! What an incredible game! Best match all season', NOW() - INTERVAL '1 hour 55 minutes', '2'),
+('550e8400-e29b-41d4-a716-446655440011', '3', '6', 'Fiona, are you coming to the team lunch on Friday?', NOW() - INTERVAL '1 hour', '2'),
+('550e8400-e29b-41d4-a716-446655440012', '6', '3', 'Definitely! Wouldn''t miss it 😊', NOW() - INTERVAL '50 minutes', '2')
 ON CONFLICT DO NOTHING;
+
+-- Inbox entries for the seed messages, counted from both sides of each message
+DELETE FROM inbox_entries;
+
+INSERT INTO inbox_entries (user_id, counterpart_id, last_message_id, last_from_user_id, last_content,
+                           last_message_type, last_message_at, last_deleted, unread_count)
+SELECT DISTINCT ON (user_id, counterpart_id)
+       user_id, counterpart_id, id, from_user_id, LEFT(content, 100), message_type, created_at,
+       deleted_at IS NOT NULL,
+       COUNT(*) FILTER (WHERE unread) OVER (PARTITION BY user_id, counterpart_id)
+FROM (
+  SELECT from_user_id AS user_id, to_user_id AS counterpart_id, id, from_user_id, content, message_type, created_at, deleted_at,
+         false AS unread
+  FROM messages
+  UNION ALL
+  SELECT to_user_id, from_user_id, id, from_user_id, content, message_type, created_at, deleted_at,
+         status <> 'read' AND deleted_at IS NULL
+  FROM messages
+  WHERE to_user_id <> from_user_id
+) sides
+ORDER BY user_id, counterpart_id, created_at DESC, id DESC;
+
+-- Replication change log: every write to a replicated table appends the changed row's key here,
+-- and the backup applies the log in seq order (see shared/shard-core/replication.js).
+-- Created after the seed data so seeds are not logged - the backup runs this same file.
+CREATE TABLE IF NOT EXISTS replication_log (
+  seq BIGSERIAL PRIMARY KEY,
+  table_name VARCHAR(50) NOT NULL,
+  row_key JSONB NOT NULL,
+  op VARCHAR(6) NOT NULL, -- upsert | delete
+  changed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT clock_timestamp()
+);
+
+-- Last change-log seq applied from each source (only written on the receiving database)
+CREATE TABLE IF NOT EXISTS replication_checkpoint (
+  source VARCHAR(100) PRIMARY KEY,
+  last_seq BIGINT NOT NULL DEFAULT 0,
+  last_changed_at TIMESTAMP WITH TIME ZONE,
+  applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Trigger arguments are the table's key columns
+CREATE OR REPLACE FUNCTION log_replication_change() RETURNS trigger AS $$
+DECLARE
+  source_row JSONB;
+  row_key JSONB := '{}'::jsonb;
+  i INT;
+BEGIN
+  IF TG_OP = 'DELETE' THEN
+    source_row := to_jsonb(OLD);
+  ELSE
+    source_row := to_jsonb(NEW);
+  END IF;
+
+  FOR i IN 0 .. TG_NARGS - 1 LOOP
+    row_key := row_key || jsonb_build_object(TG_ARGV[i], source_row -> TG_ARGV[i]);
+  END LOOP;
+
+  INSERT INTO replication_log (table_name, row_key, op)
+  VALUES (TG_TABLE_NAME, row_key, CASE WHEN TG_OP = 'DELETE' THEN 'delete' ELSE 'upsert' END);
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS users_replication_log ON users;
+CREATE TRIGGER users_replication_log AFTER INSERT OR UPDATE OR DELETE ON users
+  FOR EACH ROW EXECUTE FUNCTION log_replication_change('id');
+
+DROP TRIGGER IF EXISTS messages_replication_log ON messages;
+CREATE TRIGGER messages_replication_log AFTER INSERT OR UPDATE OR DELETE ON messages
+  FOR EACH ROW EXECUTE FUNCTION log_replication_change('id');
+
+DROP TRIGGER IF EXISTS message_edits_replication_log ON message_edits;
+CREATE TRIGGER message_edits_replication_log AFTER INSERT OR UPDATE OR DELETE ON message_edits
+  FOR EACH ROW EXECUTE FUNCTION log_replication_change('id');
+
+DROP TRIGGER IF EXISTS groups_replication_log ON groups;
+CREATE TRIGGER groups_replication_log AFTER INSERT OR UPDATE OR DELETE ON groups
+  FOR EACH ROW EXECUTE FUNCTION log_replication_change('id');
+
+DROP TRIGGER IF EXISTS group_members_replication_log ON group_members;
+CREATE TRIGGER group_members_replication_log AFTER INSERT OR UPDATE OR DELETE ON group_members
+  FOR EACH ROW EXECUTE FUNCTION log_replication_change('group_id', 'user_id');
+
+DROP TRIGGER IF EXISTS group_messages_replication_log ON group_messages;
+CREATE TRIGGER group_messages_replication_log AFTER INSERT OR UPDATE OR DELETE ON group_messages
+  FOR EACH ROW EXECUTE FUNCTION log_replication_change('id');
+
+DROP TRIGGER IF EXISTS inbox_entries_replication_log ON inbox_entries;
+CREATE TRIGGER inbox_entries_replication_log AFTER INSERT OR UPDATE OR DELETE ON inbox_entries
+  FOR EACH ROW EXECUTE FUNCTION log_replication_change('user_id', 'counterpart_id');
+
+DROP TRIGGER IF EXISTS contacts_replication_log ON contacts;
+CREATE TRIGGER contacts_replication_log AFTER INSERT OR UPDATE OR DELETE ON contacts
+  FOR EACH ROW EXECUTE FUNCTION log_replication_change('user_id', 'contact_id');
+
+DROP TRIGGER IF EXISTS blocks_replication_log ON blocks;
+CREATE TRIGGER blocks_replication_log AFTER INSERT OR UPDATE OR DELETE ON blocks
+  FOR EACH ROW EXECUTE FUNCTION log_replication_change('user_id', 'blocked_id');
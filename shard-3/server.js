@@ -11,11 +11,15 @@ const shardConfig = {
   SHARD_ID: process.env.SHARD_ID || '3',
   PORT: process.env.PORT || 4003,
   REDIS_URL: process.env.REDIS_URL || 'redis://redis:6379',
+  BUS_URL: process.env.BUS_URL || 'redis://redis-bus:6379',
   DB_HOST: process.env.DB_HOST || 'postgres',
   DB_PORT: process.env.DB_PORT || 5432,
   DB_NAME: process.env.DB_NAME || 'whatsapp',
   DB_USER: process.env.DB_USER || 'postgres',
-  DB_PASSWORD: process.env.DB_PASSWORD || 'postgres'
+  DB_PASSWORD: process.env.DB_PASSWORD || 'postgres',
+  DB_BACKUP_HOST: process.env.DB_BACKUP_HOST || 'postgres-backup',
+  DB_BACKUP_PORT: process.env.DB_BACKUP_PORT || 5432,
+  GATEWAY_URL: process.env.GATEWAY_URL || 'http://gateway:3000'
 };
 
 // Create and start the shard server
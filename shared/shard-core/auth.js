@@ -0,0 +1,140 @@
+/**
+ * Authentication Helpers
+ * Password hashing, signed (JWT) access tokens, and the attachment tokens the gateway
+ * issues for uploads (a shard trusts the attachment metadata in one without seeing the blob)
+ * Shared by the gateway (verifies every request) and the shards (issue tokens, guard WebSocket register)
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'auth' });
+
+const DEFAULT_SECRET = 'dev-secret-change-me';
+const JWT_SECRET = process.env.JWT_SECRET || DEFAULT_SECRET;
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '12h';
+const BCRYPT_ROUNDS = 10;
+const ATTACHMENT_AUDIENCE = 'attachment';
+const ATTACHMENT_TOKEN_EXPIRES_IN = '24h'; // how long an upload may wait to be sent
+const ACTOR_AUDIENCE = 'actor';
+const ACTOR_HEADER = 'x-actor-token';
+
+if (JWT_SECRET === DEFAULT_SECRET) {
+  log.warn('JWT_SECRET not set - using the development secret');
+}
+
+/**
+ * Hash a plain-text password for storage
+ */
+function hashPassword(password) {
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+/**
+ * Compare a plain-text password with a stored hash
+ */
+function verifyPassword(password, passwordHash) {
+  if (!passwordHash) {
+    return Promise.resolve(false);
+  }
+  return bcrypt.compare(password, passwordHash);
+}
+
+/**
+ * Issue a signed token whose subject is the user ID
+ */
+function signToken(userId) {
+  return jwt.sign({}, JWT_SECRET, { subject: String(userId), expiresIn: JWT_EXPIRES_IN });
+}
+
+/**
+ * Issue a short-lived token for internal service-to-service calls (e.g. shard → gateway)
+ */
+function signServiceToken(serviceName) {
+  return jwt.sign({ role: 'service' }, JWT_SECRET, { subject: `service:${serviceName}`, expiresIn: '5m' });
+}
+
+/**
+ * Verify a token and return its claims - throws if invalid or expired
+ */
+function verifyToken(token) {
+  if (!token) {
+    throw new Error('Missing token');
+  }
+  const claims = jwt.verify(token, JWT_SECRET);
+  // Attachment tokens are signed with the same secret but grant no access
+  if (claims.aud) {
+    throw new Error('Not an access token');
+  }
+  return claims;
+}
+
+/**
+ * Issue a token for an uploaded attachment - sending a message with it attaches the blob
+ */
+function signAttachmentToken(userId, attachment) {
+  return jwt.sign({ attachment }, JWT_SECRET, {
+    subject: String(userId),
+    audience: ATTACHMENT_AUDIENCE,
+    expiresIn: ATTACHMENT_TOKEN_EXPIRES_IN
+  });
+}
+
+/**
+ * Verify an attachment token and return its claims ({ sub: uploader, attachment })
+ */
+function verifyAttachmentToken(token) {
+  return jwt.verify(token, JWT_SECRET, { audience: ATTACHMENT_AUDIENCE });
+}
+
+/**
+ * Issue a short-lived token naming the user a gateway → shard request acts for
+ * (sent as the X-Actor-Token header, so the identity can't be smuggled in through the URL)
+ */
+function signActorToken(userId) {
+  return jwt.sign({}, JWT_SECRET, { subject: String(userId), audience: ACTOR_AUDIENCE, expiresIn: '1m' });
+}
+
+/**
+ * The user a request acts for, from its X-Actor-Token header - null if missing or invalid
+ */
+function actorFromRequest(req) {
+  try {
+    return jwt.verify(req.headers[ACTOR_HEADER], JWT_SECRET, { audience: ACTOR_AUDIENCE }).sub;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * HMAC of a string with the shared secret (e.g. signed download URLs)
+ */
+function signValue(value) {
+  return crypto.createHmac('sha256', JWT_SECRET).update(value).digest('base64url');
+}
+
+/**
+ * Read a bearer token from an Authorization header
+ */
+function extractBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  signToken,
+  signServiceToken,
+  verifyToken,
+  signAttachmentToken,
+  verifyAttachmentToken,
+  signActorToken,
+  actorFromRequest,
+  signValue,
+  extractBearerToken,
+  JWT_EXPIRES_IN
+};
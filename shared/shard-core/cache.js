@@ -0,0 +1,300 @@
+/**
+ * Message Cache
+ * The one place the shard reads and writes Redis caches:
+ *   - a window of the newest WINDOW_SIZE messages per conversation: a sorted set of ids
+ *     scored by created_at plus a hash of rows. Loaded from PostgreSQL on a miss, then
+ *     kept current write-through (sends add, edits/receipts/deletes update in place),
+ *     so conversation pages - including cursor pages inside the window - skip the database.
+ *   - the default first page of GET /api/messages/:userId, dropped on every write.
+ *   - each user's inbox entries on this shard (see inbox.js), dropped when they change.
+ * Keys carry CACHE_VERSION (bump it when the cached shape changes) and each conversation
+ * has a generation counter bumped on every write, so a window loaded from the database
+ * while a write was in flight is discarded instead of cached stale.
+ * Every hit, miss, write and invalidation is counted and published on the bus's
+ * cache-events channel, which the gateway relays to clients watching the cache monitor.
+ */
+
+const { buildPage, compareMessages } = require('./pagination');
+const { createLogger, currentRequestId } = require('./logger');
+
+const CACHE_VERSION = 'v1';
+const CACHE_EVENTS_CHANNEL = 'cache-events';
+const WINDOW_SIZE = 200;
+const WINDOW_TTL_SECONDS = 3600;
+const USER_PAGE_TTL_SECONDS = 300;
+const INBOX_TTL_SECONDS = 300;
+const GENERATION_TTL_SECONDS = 86400; // far longer than any database load it guards
+
+// KEYS ids, rows, meta, gen; ARGV generation seen before the load, ttl, then id/score/row triples
+const FILL_WINDOW_SCRIPT = `
+if (redis.call('GET', KEYS[4]) or '0') ~= ARGV[1] then return 0 end
+redis.call('DEL', KEYS[1], KEYS[2], KEYS[3])
+for i = 4, #ARGV, 3 do
+  redis.call('ZADD', KEYS[1], ARGV[i + 1], ARGV[i])
+  redis.call('HSET', KEYS[2], ARGV[i], ARGV[i + 2])
+end
+redis.call('HSET', KEYS[3], 'truncated', ARGV[3])
+for i = 1, 3 do redis.call('EXPIRE', KEYS[i], ARGV[2]) end
+return 1
+`;
+
+// KEYS ids, rows, meta, gen; ARGV id, score, row, window size - adds only to a loaded window
+const ADD_MESSAGE_SCRIPT = `
+redis.call('INCR', KEYS[4])
+redis.call('EXPIRE', KEYS[4], ${GENERATION_TTL_SECONDS})
+if redis.call('EXISTS', KEYS[3]) == 0 then return 0 end
+redis.call('ZADD', KEYS[1], ARGV[2], ARGV[1])
+redis.call('HSET', KEYS[2], ARGV[1], ARGV[3])
+local extra = redis.call('ZCARD', KEYS[1]) - tonumber(ARGV[4])
+if extra > 0 then
+  local dropped = redis.call('ZRANGE', KEYS[1], 0, extra - 1)
+  redis.call('ZREMRANGEBYRANK', KEYS[1], 0, extra - 1)
+  redis.call('HDEL', KEYS[2], unpack(dropped))
+  redis.call('HSET', KEYS[3], 'truncated', '1')
+end
+return 1
+`;
+
+// KEYS rows, gen; ARGV id, row - replaces a row only if the window holds it
+const UPDATE_MESSAGE_SCRIPT = `
+redis.call('INCR', KEYS[2])
+redis.call('EXPIRE', KEYS[2], ${GENERATION_TTL_SECONDS})
+if redis.call('HEXISTS', KEYS[1], ARGV[1]) == 0 then return 0 end
+redis.call('HSET', KEYS[1], ARGV[1], ARGV[2])
+return 1
+`;
+
+function conversationKeys(userA, userB) {
+  // One window per pair, whichever way round it is asked for
+  const [low, high] = [String(userA), String(userB)].sort();
+  const base = `cache:${CACHE_VERSION}:conv:${low}:${high}`;
+  return { base, ids: `${base}:ids`, rows: `${base}:rows`, meta: `${base}:meta`, gen: `${base}:gen` };
+}
+
+function userPageKey(userId) {
+  return `cache:${CACHE_VERSION}:user:${userId}:messages`;
+}
+
+function inboxKey(userId) {
+  return `cache:${CACHE_VERSION}:user:${userId}:inbox`;
+}
+
+// Sorted-set score - cursors compare at millisecond precision, and equal scores order by id
+function scoreOf(message) {
+  return String(new Date(message.created_at).getTime());
+}
+
+function createCache(redisClient, shardId, bus, metrics) {
+  const log = createLogger({ service: 'shard', shard: String(shardId), component: 'cache' });
+  const cacheRequests = metrics.counter('cache_requests_total', 'Redis read-cache lookups', ['cache', 'result']);
+
+  /**
+   * Count and publish one cache event - publishing never fails the request
+   */
+  function emit(event, cache, key, userIds, extra = {}) {
+    if (event === 'hit' || event === 'miss') {
+      cacheRequests.inc({ cache, result: event });
+    }
+
+    bus.broadcast(CACHE_EVENTS_CHANNEL, {
+      type: 'cache_event',
+      event,
+      cache,
+      key,
+      user_ids: userIds.map(String),
+      shard_id: shardId,
+      request_id: currentRequestId(),
+      at: new Date().toISOString(),
+      ...extra
+    }).catch(error => log.warn('Failed to publish cache event', { error: error.message }));
+  }
+
+  /**
+   * A page from the window, or null when the window cannot answer it on its own
+   * (older than the window, or a gap between an `after` cursor and the window)
+   */
+  function pageFromWindow(messages, truncated, page) {
+    const position = page.before || page.after;
+    const cursor = position && { created_at: position.t, id: position.id };
+
+    if (page.direction === 'after') {
+      if (truncated && (!messages.length || compareMessages(cursor, messages[0]) < 0)) {
+        return null;
+      }
+      const newer = messages.filter(m => compareMessages(m, cursor) > 0);
+      return buildPage(newer.slice(0, page.limit + 1), page, 'asc');
+    }
+
+    const older = (cursor ? messages.filter(m => compareMessages(m, cursor) < 0) : messages.slice()).reverse();
+    if (older.length <= page.limit && truncated) {
+      return null;
+    }
+    return buildPage(older.slice(0, page.limit + 1), page, 'asc');
+  }
+
+  async function readWindow(keys) {
+    // One transaction, so a trim between the reads can't leave an id without its row
+    const [ids, rows, meta] = await redisClient.multi()
+      .zRange(keys.ids, 0, -1)
+      .hGetAll(keys.rows)
+      .hGetAll(keys.meta)
+      .exec();
+    if (!meta.truncated) {
+      return null;
+    }
+    return { messages: ids.map(id => JSON.parse(rows[id])), truncated: meta.truncated === '1' };
+  }
+
+  /**
+   * Page of a conversation, served from the window when it can be
+   * @param {Function} loadRows - (page) => the page query's limit + 1 rows from the database
+   */
+  async function conversationPage(userId, otherUserId, page, loadRows) {
+    const keys = conversationKeys(userId, otherUserId);
+    const userIds = [userId, otherUserId];
+    const loadPage = async () => buildPage(await loadRows(page), page, 'asc');
+
+    const cached = await readWindow(keys);
+    if (cached) {
+      const result = pageFromWindow(cached.messages, cached.truncated, page);
+      if (result) {
+        emit('hit', 'conversation', keys.base, userIds, { messages: result.messages.length });
+        return result;
+      }
+      // Older history than the window holds - the window itself is fine, so leave it
+      emit('miss', 'conversation', keys.base, userIds, { reason: 'outside_window' });
+      return loadPage();
+    }
+
+    emit('miss', 'conversation', keys.base, userIds, { reason: 'not_cached' });
+
+    const generation = (await redisClient.get(keys.gen)) || '0';
+    const rows = await loadRows({ limit: WINDOW_SIZE, before: null, after: null, direction: 'before' });
+    const truncated = rows.length > WINDOW_SIZE;
+    const windowRows = rows.slice(0, WINDOW_SIZE).sort(compareMessages);
+
+    const args = [generation, String(WINDOW_TTL_SECONDS), truncated ? '1' : '0'];
+    for (const row of windowRows) {
+      args.push(row.id, scoreOf(row), JSON.stringify(row));
+    }
+    const stored = await redisClient.eval(FILL_WINDOW_SCRIPT, {
+      keys: [keys.ids, keys.rows, keys.meta, keys.gen],
+      arguments: args
+    });
+    if (stored) {
+      emit('fill', 'conversation', keys.base, userIds, { messages: windowRows.length });
+    }
+
+    return pageFromWindow(windowRows, truncated, page) || loadPage();
+  }
+
+  /**
+   * Default first page of a user's messages, loaded with `load` on a miss
+   */
+  async function userMessagesPage(userId, load) {
+    const key = userPageKey(userId);
+    const cached = await redisClient.get(key);
+    if (cached) {
+      emit('hit', 'user_messages', key, [userId]);
+      return JSON.parse(cached);
+    }
+
+    emit('miss', 'user_messages', key, [userId]);
+    const result = await load();
+    await redisClient.setEx(key, USER_PAGE_TTL_SECONDS, JSON.stringify(result));
+    return result;
+  }
+
+  async function dropUserPages(userIds) {
+    for (const userId of new Set(userIds.map(String))) {
+      if (await redisClient.del(userPageKey(userId))) {
+        emit('invalidate', 'user_messages', userPageKey(userId), [userId]);
+      }
+    }
+  }
+
+  /**
+   * A user's inbox entries on this shard, loaded with `load` on a miss
+   */
+  async function inboxEntries(userId, load) {
+    const key = inboxKey(userId);
+    const cached = await redisClient.get(key);
+    if (cached) {
+      emit('hit', 'inbox', key, [userId]);
+      return JSON.parse(cached);
+    }
+
+    emit('miss', 'inbox', key, [userId]);
+    const entries = await load();
+    await redisClient.setEx(key, INBOX_TTL_SECONDS, JSON.stringify(entries));
+    return entries;
+  }
+
+  async function dropInboxes(userIds) {
+    for (const userId of new Set(userIds.map(String))) {
+      if (await redisClient.del(inboxKey(userId))) {
+        emit('invalidate', 'inbox', inboxKey(userId), [userId]);
+      }
+    }
+  }
+
+  /**
+   * Write-through for a stored message (full row) - new sends, and rows imported by resharding
+   */
+  async function messageStored(message) {
+    const keys = conversationKeys(message.from_user_id, message.to_user_id);
+    const added = await redisClient.eval(ADD_MESSAGE_SCRIPT, {
+      keys: [keys.ids, keys.rows, keys.meta, keys.gen],
+      arguments: [message.id, scoreOf(message), JSON.stringify(message), String(WINDOW_SIZE)]
+    });
+    if (added) {
+      emit('write', 'conversation', keys.base, [message.from_user_id, message.to_user_id], { message_id: message.id });
+    }
+    await dropUserPages([message.from_user_id, message.to_user_id]);
+  }
+
+  /**
+   * Write-through for a changed message (full row) - edits, deletes, receipts
+   */
+  async function messageUpdated(message) {
+    const keys = conversationKeys(message.from_user_id, message.to_user_id);
+    const updated = await redisClient.eval(UPDATE_MESSAGE_SCRIPT, {
+      keys: [keys.rows, keys.gen],
+      arguments: [message.id, JSON.stringify(message)]
+    });
+    if (updated) {
+      emit('update', 'conversation', keys.base, [message.from_user_id, message.to_user_id], { message_id: message.id });
+    }
+    await dropUserPages([message.from_user_id, message.to_user_id]);
+  }
+
+  /**
+   * Drop everything cached for these users - used when their data moves between shards
+   */
+  async function invalidateUsers(userIds) {
+    await dropUserPages(userIds);
+    await dropInboxes(userIds);
+
+    for (const userId of userIds.map(String)) {
+      const patterns = [`cache:${CACHE_VERSION}:conv:${userId}:*`, `cache:${CACHE_VERSION}:conv:*:${userId}:*`];
+      for (const pattern of patterns) {
+        for await (const key of redisClient.scanIterator({ MATCH: pattern })) {
+          // Keep the generation counter so an in-flight load can't refill stale data
+          if (key.endsWith(':gen')) {
+            await redisClient.incr(key);
+            continue;
+          }
+          if (await redisClient.del(key) && key.endsWith(':meta')) {
+            const base = key.slice(0, -':meta'.length);
+            const [, , , low, high] = base.split(':');
+            emit('invalidate', 'conversation', base, [low, high]);
+          }
+        }
+      }
+    }
+  }
+
+  return { conversationPage, userMessagesPage, inboxEntries, dropInboxes, messageStored, messageUpdated, invalidateUsers };
+}
+
+module.exports = { createCache, CACHE_EVENTS_CHANNEL };
@@ -0,0 +1,235 @@
+/**
+ * Primary/Backup Consistency Checker
+ * Compares tables between the primary and backup databases chunk by chunk:
+ * rows are grouped into buckets (hour of created_at for messages, blocks of ids
+ * for users) and each side hashes every bucket. Only buckets whose checksums
+ * differ are compared row by row. Diverged rows can be repaired by copying the
+ * primary's version to the backup through the ReplicationManager's pools.
+ *
+ * Also runs as a command inside a shard container:
+ *   node consistency.js [--repair] [--table messages]
+ */
+
+const { ReplicationManager } = require('./replication');
+const { createLogger } = require('./logger');
+
+// Tables that can be checked, with their key and bucket expressions
+const CHECKED_TABLES = {
+  users: { keys: ['id'], bucket: '(id / 100)::text' },
+  messages: { keys: ['id'], bucket: `to_char(date_trunc('hour', created_at), 'YYYY-MM-DD"T"HH24:00')` }
+};
+
+const MAX_REPORTED_ROWS = 100;
+const REPAIR_BATCH_SIZE = 500;
+
+class ConsistencyChecker {
+  constructor(shardId, replicationManager) {
+    this.shardId = shardId;
+    this.replicationManager = replicationManager;
+    this.log = createLogger({ service: 'shard', shard: String(shardId), component: 'consistency' });
+  }
+
+  /**
+   * Bucket -> { rows, checksum } for one side
+   */
+  async bucketChecksums(pool, table) {
+    const { keys, bucket } = CHECKED_TABLES[table];
+    const result = await pool.query(
+      `SELECT ${bucket} AS bucket, COUNT(*) AS rows,
+              md5(string_agg(md5(t::text), '' ORDER BY ${keys.join(', ')})) AS checksum
+       FROM ${table} t
+       GROUP BY 1`
+    );
+    return new Map(result.rows.map(row => [row.bucket, { rows: Number(row.rows), checksum: row.checksum }]));
+  }
+
+  /**
+   * Row key -> { key, checksum } for one bucket on one side
+   */
+  async rowChecksums(pool, table, bucketValue) {
+    const { keys, bucket } = CHECKED_TABLES[table];
+    const result = await pool.query(
+      `SELECT ${keys.join(', ')}, md5(t::text) AS checksum FROM ${table} t WHERE ${bucket} = $1`,
+      [bucketValue]
+    );
+    return new Map(result.rows.map(row => {
+      const key = Object.fromEntries(keys.map(k => [k, row[k]]));
+      return [keys.map(k => String(row[k])).join('|'), { key, checksum: row.checksum }];
+    }));
+  }
+
+  async checkTable(table) {
+    const { primaryPool, backupPool } = this.replicationManager;
+    const [primaryBuckets, backupBuckets] = await Promise.all([
+      this.bucketChecksums(primaryPool, table),
+      this.bucketChecksums(backupPool, table)
+    ]);
+
+    const allBuckets = new Set([...primaryBuckets.keys(), ...backupBuckets.keys()]);
+    const mismatched = [...allBuckets]
+      .filter(b => primaryBuckets.get(b)?.checksum !== backupBuckets.get(b)?.checksum)
+      .sort();
+
+    const diverged = { missing_on_backup: [], extra_on_backup: [], different: [] };
+    for (const bucketValue of mismatched) {
+      const [primaryRows, backupRows] = await Promise.all([
+        this.rowChecksums(primaryPool, table, bucketValue),
+        this.rowChecksums(backupPool, table, bucketValue)
+      ]);
+
+      for (const [id, row] of primaryRows) {
+        const backupRow = backupRows.get(id);
+        if (!backupRow) {
+          diverged.missing_on_backup.push(row.key);
+        } else if (backupRow.checksum !== row.checksum) {
+          diverged.different.push(row.key);
+        }
+      }
+      for (const [id, row] of backupRows) {
+        if (!primaryRows.has(id)) {
+          diverged.extra_on_backup.push(row.key);
+        }
+      }
+    }
+
+    const count = (buckets) => [...buckets.values()].reduce((sum, b) => sum + b.rows, 0);
+    return {
+      buckets: allBuckets.size,
+      mismatched_buckets: mismatched,
+      primary_rows: count(primaryBuckets),
+      backup_rows: count(backupBuckets),
+      diverged
+    };
+  }
+
+  /**
+   * Copy the primary's version of every diverged row to the backup (rows gone from the primary are deleted)
+   */
+  async repairTable(table, diverged) {
+    const rowKeys = [...diverged.missing_on_backup, ...diverged.extra_on_backup, ...diverged.different];
+    for (let i = 0; i < rowKeys.length; i += REPAIR_BATCH_SIZE) {
+      const change = await this.replicationManager.readChanges(table, rowKeys.slice(i, i + REPAIR_BATCH_SIZE));
+      await this.replicationManager.applyChanges([change], null);
+    }
+    return rowKeys.length;
+  }
+
+  /**
+   * Check (and optionally repair) the given tables - returns the report
+   */
+  async run({ tables = Object.keys(CHECKED_TABLES), repair = false } = {}) {
+    const unknown = tables.filter(t => !Object.prototype.hasOwnProperty.call(CHECKED_TABLES, t));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown table(s): ${unknown.join(', ')}`);
+    }
+
+    const report = {
+      shard_id: this.shardId,
+      checked_at: new Date().toISOString(),
+      repair,
+      consistent: true,
+      tables: {}
+    };
+
+    for (const table of tables) {
+      const result = await this.checkTable(table);
+      const { missing_on_backup, extra_on_backup, different } = result.diverged;
+      const divergedRows = missing_on_backup.length + extra_on_backup.length + different.length;
+
+      report.tables[table] = {
+        buckets: result.buckets,
+        mismatched_buckets: result.mismatched_buckets.length,
+        primary_rows: result.primary_rows,
+        backup_rows: result.backup_rows,
+        diverged_rows: divergedRows,
+        missing_on_backup: missing_on_backup.slice(0, MAX_REPORTED_ROWS),
+        extra_on_backup: extra_on_backup.slice(0, MAX_REPORTED_ROWS),
+        different: different.slice(0, MAX_REPORTED_ROWS),
+        repaired_rows: repair && divergedRows > 0 ? await this.repairTable(table, result.diverged) : 0
+      };
+      if (divergedRows > 0) {
+        report.consistent = false;
+      }
+    }
+
+    // Rows still waiting in the change log show up as diverged until replication applies them
+    const replication = await this.replicationManager.getStatus();
+    report.replication_lag_rows = replication.lag_rows;
+
+    const total = Object.values(report.tables).reduce((sum, t) => sum + t.diverged_rows, 0);
+    this.log.info(`Consistency check: ${total} diverged row(s)${repair ? ', repaired' : ''}`);
+    return report;
+  }
+}
+
+function createConsistencyRoutes(app, shardId, replicationManager, failover) {
+  const log = createLogger({ service: 'shard', shard: String(shardId), component: 'consistency' });
+  const checker = new ConsistencyChecker(shardId, replicationManager);
+
+  /**
+   * POST /api/consistency/check
+   * Compare primary and backup - Body: { tables?: ['users', 'messages'], repair?: boolean }
+   */
+  app.post('/api/consistency/check', async (req, res) => {
+    const { tables, repair = false } = req.body || {};
+    if (tables !== undefined && typeof tables !== 'string' &&
+        !(Array.isArray(tables) && tables.every(t => typeof t === 'string'))) {
+      return res.status(400).json({ error: 'tables must be a table name or an array of table names' });
+    }
+
+    // While failed over the backup is the newer copy - repairing it from the old primary would lose writes
+    if (failover.getStatus().role !== 'primary') {
+      return res.status(409).json({ error: 'Shard is not on its primary database', details: failover.getStatus().role });
+    }
+
+    try {
+      const report = await checker.run({
+        tables: typeof tables === 'string' ? [tables] : tables,
+        repair: Boolean(repair)
+      });
+      res.json(report);
+    } catch (error) {
+      if (error.message.startsWith('Unknown table')) {
+        return res.status(400).json({ error: error.message });
+      }
+      log.error('Error checking consistency', { error: error.message });
+      res.status(500).json({ error: 'Failed to check consistency', details: error.message });
+    }
+  });
+
+  return checker;
+}
+
+// Command-line entry point, configured from the same environment as the shard server
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const tableIndex = args.indexOf('--table');
+  const env = process.env;
+  const database = {
+    database: env.DB_NAME || 'whatsapp',
+    user: env.DB_USER || 'postgres',
+    password: env.DB_PASSWORD || 'postgres'
+  };
+  const replicationManager = new ReplicationManager(
+    env.SHARD_ID || '1',
+    { ...database, host: env.DB_HOST || 'postgres', port: env.DB_PORT || 5432 },
+    { ...database, host: env.DB_BACKUP_HOST || 'postgres-backup', port: env.DB_BACKUP_PORT || 5432 }
+  );
+
+  new ConsistencyChecker(env.SHARD_ID || '1', replicationManager)
+    .run({
+      tables: tableIndex >= 0 ? [args[tableIndex + 1]] : undefined,
+      repair: args.includes('--repair')
+    })
+    .then(report => {
+      console.log(JSON.stringify(report, null, 2));
+      process.exitCode = report.consistent || report.repair ? 0 : 1;
+    })
+    .catch(error => {
+      console.error(error.message);
+      process.exitCode = 2;
+    })
+    .finally(() => replicationManager.close());
+}
+
+module.exports = { ConsistencyChecker, createConsistencyRoutes, CHECKED_TABLES };
@@ -0,0 +1,305 @@
+/**
+ * Database Failover
+ * Hands the shard a pool-like object that points at the primary database and
+ * moves to the backup when the primary stops answering. The old primary is
+ * fenced (its database is made read-only) as soon as it is reachable again, so
+ * nothing else can write to it. When it has stayed up for a while, the writes
+ * taken by the backup are shipped back through the backup's change log, writes
+ * pause for a moment while the last batch drains, and the shard switches back.
+ */
+
+const { Pool } = require('pg');
+const { ReplicationManager } = require('./replication');
+const { createLogger } = require('./logger');
+
+const CHECK_INTERVAL = 2000;
+const PING_TIMEOUT = 3000;
+const FAILURE_THRESHOLD = 3;  // failed pings before promoting the backup
+const RECOVERY_THRESHOLD = 5; // good pings before reconciling the old primary
+const DRAIN_TIMEOUT = 5000;   // max wait for in-flight queries before the final catch-up
+const MAX_TRANSITIONS = 20;
+
+class DatabaseFailover {
+  constructor(shardId, primaryDB, backupDB, replicationManager) {
+    this.shardId = shardId;
+    this.log = createLogger({ service: 'shard', shard: String(shardId), component: 'failover' });
+    this.primaryDB = primaryDB;
+    this.backupDB = backupDB;
+    this.replicationManager = replicationManager;
+
+    this.primaryPool = new Pool({ ...primaryDB, connectionTimeoutMillis: PING_TIMEOUT });
+    this.backupPool = new Pool({ ...backupDB, connectionTimeoutMillis: PING_TIMEOUT });
+    this.active = this.primaryPool;
+
+    this.role = 'primary'; // primary | failed_over | reconciling
+    this.fenced = false;
+    this.promotedAtSeq = null;
+    this.failures = 0;
+    this.recoveries = 0;
+    this.checking = false;
+    this.inFlight = 0;
+    this.writeGate = null;
+    this.transitions = [];
+
+    this.primaryPool.on('error', (err) => {
+      this.log.error('Primary database pool error', { error: err.message });
+    });
+    this.backupPool.on('error', (err) => {
+      this.log.error('Backup database pool error', { error: err.message });
+    });
+
+    this.pool = this.createPool();
+  }
+
+  /**
+   * The pg.Pool subset the routes use (query, connect, on, end), always on the active database
+   */
+  createPool() {
+    return {
+      query: async (...args) => {
+        await this.waitForGate();
+        this.inFlight++;
+        try {
+          return await this.active.query(...args);
+        } finally {
+          this.inFlight--;
+        }
+      },
+      connect: async () => {
+        await this.waitForGate();
+        const client = await this.active.connect();
+        this.inFlight++;
+        const release = client.release.bind(client);
+        let released = false;
+        client.release = (err) => {
+          if (!released) {
+            released = true;
+            this.inFlight--;
+          }
+          return release(err);
+        };
+        return client;
+      },
+      on: (event, listener) => {
+        this.primaryPool.on(event, listener);
+        this.backupPool.on(event, listener);
+      },
+      end: () => this.close()
+    };
+  }
+
+  async waitForGate() {
+    while (this.writeGate) {
+      await this.writeGate;
+    }
+  }
+
+  async initialize() {
+    const primaryUp = await this.ping(this.primaryPool);
+
+    if (!primaryUp) {
+      this.log.error('Primary database unreachable at startup');
+      await this.promoteBackup('primary unreachable at startup');
+    } else if (await this.isFenced()) {
+      // A previous run failed over; the backup holds the newest writes until reconciled
+      this.transition('failed_over', 'primary is fenced from an earlier failover');
+      this.active = this.backupPool;
+      this.fenced = true;
+      this.replicationManager.pause();
+    }
+
+    setInterval(() => this.check(), CHECK_INTERVAL);
+    this.log.info(`Database failover monitor started (role: ${this.role})`);
+  }
+
+  async ping(pool) {
+    let timer;
+    try {
+      await Promise.race([
+        pool.query('SELECT 1'),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error('Ping timed out')), PING_TIMEOUT);
+        })
+      ]);
+      return true;
+    } catch (error) {
+      return false;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async check() {
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      const primaryUp = await this.ping(this.primaryPool);
+
+      if (this.role === 'primary') {
+        this.failures = primaryUp ? 0 : this.failures + 1;
+        if (this.failures >= FAILURE_THRESHOLD) {
+          await this.promoteBackup(`primary failed ${this.failures} health checks`);
+        }
+        return;
+      }
+
+      if (!primaryUp) {
+        this.recoveries = 0;
+        return;
+      }
+
+      // Fence first so a returning primary never takes writes while the backup is active
+      if (!this.fenced) {
+        await this.fence();
+      }
+
+      this.recoveries++;
+      if (this.recoveries >= RECOVERY_THRESHOLD) {
+        await this.reconcile();
+      }
+    } catch (error) {
+      this.log.error('Database failover check error', { error: error.message });
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Route every query to the backup and stop shipping changes to it
+   */
+  async promoteBackup(reason) {
+    if (!(await this.ping(this.backupPool))) {
+      this.log.error('Backup database unreachable too, staying on primary');
+      return;
+    }
+
+    this.replicationManager.pause();
+    // Writes from here on are logged on the backup; reconciliation ships everything after this seq
+    const head = await this.backupPool.query('SELECT COALESCE(MAX(seq), 0) AS seq FROM replication_log');
+    this.promotedAtSeq = Number(head.rows[0].seq);
+
+    this.active = this.backupPool;
+    this.fenced = false;
+    this.recoveries = 0;
+    this.transition('failed_over', reason);
+    this.log.warn(`Failed over to backup database: ${reason}`);
+  }
+
+  /**
+   * Make the old primary's database read-only and drop its existing sessions
+   */
+  async fence() {
+    const client = await this.primaryPool.connect();
+    try {
+      await client.query(`ALTER DATABASE ${this.primaryDB.database} SET default_transaction_read_only = on`);
+      await client.query(
+        'SELECT pg_terminate_backend(pid) FROM pg_stat_activity WHERE datname = current_database() AND pid <> pg_backend_pid()'
+      );
+    } finally {
+      client.release();
+    }
+
+    this.fenced = true;
+    this.transition(this.role, 'old primary fenced (read-only)');
+    this.log.warn('Fenced old primary database');
+  }
+
+  async unfence() {
+    const client = await this.primaryPool.connect();
+    try {
+      await client.query('SET default_transaction_read_only = off');
+      await client.query(`ALTER DATABASE ${this.primaryDB.database} RESET default_transaction_read_only`);
+      // Sessions opened while fenced are read-only; make every pool reconnect
+      await client.query(
+        'SELECT pg_terminate_backend(pid) FROM pg_stat_activity WHERE datname = current_database() AND pid <> pg_backend_pid()'
+      );
+    } finally {
+      client.release(true);
+    }
+    this.fenced = false;
+  }
+
+  async isFenced() {
+    const result = await this.primaryPool.query('SHOW default_transaction_read_only');
+    return result.rows[0].default_transaction_read_only === 'on';
+  }
+
+  /**
+   * Ship the backup's writes to the old primary, then switch back to it
+   */
+  async reconcile() {
+    this.transition('reconciling', 'old primary is back');
+    this.log.info('Reconciling old primary from backup');
+
+    const reverse = new ReplicationManager(this.shardId, this.backupDB, this.primaryDB);
+    try {
+      if (this.promotedAtSeq !== null) {
+        await reverse.setCheckpoint(this.promotedAtSeq);
+      }
+
+      // Catch up while the backup keeps taking writes
+      await reverse.syncData();
+      if (reverse.lastError) throw new Error(reverse.lastError);
+
+      // Hold new queries, let in-flight ones finish, then ship the tail
+      let openGate;
+      this.writeGate = new Promise(resolve => { openGate = resolve; });
+      try {
+        const deadline = Date.now() + DRAIN_TIMEOUT;
+        while (this.inFlight > 0 && Date.now() < deadline) {
+          await new Promise(resolve => setTimeout(resolve, 50));
+        }
+
+        await reverse.syncData();
+        const status = await reverse.getStatus();
+        if (reverse.lastError || status.lag_rows > 0) {
+          throw new Error(reverse.lastError || `${status.lag_rows} change(s) still pending`);
+        }
+
+        await this.unfence();
+        this.active = this.primaryPool;
+        this.promotedAtSeq = null;
+        this.recoveries = 0;
+        this.transition('primary', 'reconciled, switched back to primary');
+        this.replicationManager.resume();
+      } finally {
+        this.writeGate = null;
+        openGate();
+      }
+
+      this.log.info('Switched back to primary database');
+    } catch (error) {
+      this.recoveries = 0;
+      this.transition('failed_over', `reconciliation failed: ${error.message}`);
+      this.log.error('Reconciliation failed', { error: error.message });
+    } finally {
+      await reverse.close().catch(() => {});
+    }
+  }
+
+  transition(role, reason) {
+    const from = this.role;
+    this.role = role;
+    this.transitions.push({ from, to: role, reason, at: new Date().toISOString() });
+    if (this.transitions.length > MAX_TRANSITIONS) {
+      this.transitions.shift();
+    }
+  }
+
+  getStatus() {
+    return {
+      role: this.role,
+      active: this.active === this.primaryPool ? 'primary' : 'backup',
+      primary_fenced: this.fenced,
+      transitions: this.transitions
+    };
+  }
+
+  async close() {
+    await this.primaryPool.end();
+    await this.backupPool.end();
+  }
+}
+
+module.exports = { DatabaseFailover };
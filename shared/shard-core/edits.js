@@ -0,0 +1,193 @@
+/**
+ * Message Edit & Delete
+ * Only the sender may change a message, and messages live on the sender's shard.
+ * Edits keep the previous content in `message_edits`; deletes leave a tombstone
+ * (content and attachment metadata cleared, deleted_at set) so replicas, caches and clients converge on it.
+ * Every change is captured by the replication change log, so the backup follows it too.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { actorFromRequest } = require('./auth');
+const { createLogger } = require('./logger');
+
+function createEditRoutes(app, pool, cache, inbox, shardId, bus, resharding) {
+  const log = createLogger({ service: 'shard', shard: String(shardId), component: 'edits' });
+
+  /**
+   * Load a message for its sender - sends the 4xx response and returns null otherwise
+   */
+  async function loadOwnMessage(client, messageId, actorId, res) {
+    const result = await client.query('SELECT * FROM messages WHERE id = $1 FOR UPDATE', [messageId]);
+    const message = result.rows[0];
+
+    if (!message) {
+      res.status(404).json({ error: 'Message not found' });
+      return null;
+    }
+    if (message.from_user_id !== String(actorId)) {
+      res.status(403).json({ error: 'Forbidden', details: 'Only the sender can change a message' });
+      return null;
+    }
+    if (message.deleted_at) {
+      res.status(410).json({ error: 'Message was deleted' });
+      return null;
+    }
+    return message;
+  }
+
+  /**
+   * Cache write-through, inbox preview, dual-write and real-time push after a change is committed.
+   * The change is durable by then, so a failure here is logged and the request still succeeds.
+   */
+  async function publishChange(type, message) {
+    try {
+      await sendChange(type, message);
+    } catch (error) {
+      log.error(`Error publishing ${type} for message ${message.id}`, { error: error.message });
+    }
+  }
+
+  async function sendChange(type, message) {
+    await cache.messageUpdated(message);
+    await inbox.messageChanged(message);
+    await resharding.forwardWrite(message);
+
+    const event = {
+      type,
+      id: message.id,
+      from_user_id: message.from_user_id,
+      to_user_id: message.to_user_id,
+      content: message.content,
+      edited_at: message.edited_at,
+      deleted_at: message.deleted_at
+    };
+    await bus.push(message.from_user_id, event);
+    await bus.push(message.to_user_id, event);
+  }
+
+  /**
+   * PATCH /api/messages/:messageId
+   * Edit a message's content - Body: { from_user_id, content }
+   */
+  app.patch('/api/messages/:messageId', async (req, res) => {
+    const { from_user_id, content } = req.body;
+    if (!from_user_id || !content) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    let client;
+    let row;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+      const message = await loadOwnMessage(client, req.params.messageId, from_user_id, res);
+      if (!message) {
+        await client.query('ROLLBACK');
+        return;
+      }
+
+      const edit = await client.query(
+        `INSERT INTO message_edits (id, message_id, previous_content) VALUES ($1, $2, $3)
+         RETURNING edited_at`,
+        [uuidv4(), message.id, message.content]
+      );
+      const updated = await client.query(
+        `UPDATE messages SET content = $2, edited_at = $3, updated_at = $3 WHERE id = $1 RETURNING *`,
+        [message.id, content, edit.rows[0].edited_at]
+      );
+      await client.query('COMMIT');
+      row = updated.rows[0];
+    } catch (error) {
+      if (client) {
+        await client.query('ROLLBACK').catch(() => {});
+      }
+      log.error('Error editing message', { error: error.message });
+      return res.status(500).json({ error: 'Failed to edit message', details: error.message });
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+
+    await publishChange('message_updated', row);
+    log.info(`Message edited: ${row.id}`);
+    res.json({ ...row, shard_id: shardId });
+  });
+
+  /**
+   * DELETE /api/messages/:messageId
+   * Soft-delete a message - content and edit history are removed, a tombstone stays - Body: { from_user_id }
+   */
+  app.delete('/api/messages/:messageId', async (req, res) => {
+    const { from_user_id } = req.body;
+    if (!from_user_id) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    let client;
+    let row;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+      const message = await loadOwnMessage(client, req.params.messageId, from_user_id, res);
+      if (!message) {
+        await client.query('ROLLBACK');
+        return;
+      }
+
+      await client.query('DELETE FROM message_edits WHERE message_id = $1', [message.id]);
+      const deleted = await client.query(
+        `UPDATE messages SET content = '', attachment = NULL, deleted_at = NOW(), updated_at = NOW() WHERE id = $1 RETURNING *`,
+        [message.id]
+      );
+      await client.query('COMMIT');
+      row = deleted.rows[0];
+    } catch (error) {
+      if (client) {
+        await client.query('ROLLBACK').catch(() => {});
+      }
+      log.error('Error deleting message', { error: error.message });
+      return res.status(500).json({ error: 'Failed to delete message', details: error.message });
+    } finally {
+      if (client) {
+        client.release();
+      }
+    }
+
+    await publishChange('message_deleted', row);
+    log.info(`Message deleted: ${row.id}`);
+    res.json({ ...row, shard_id: shardId });
+  });
+
+  /**
+   * GET /api/messages/:messageId/edits
+   * Edit history of a message, oldest first - only for the two participants (the X-Actor-Token user)
+   */
+  app.get('/api/messages/:messageId/edits', async (req, res) => {
+    const userId = actorFromRequest(req);
+    if (!userId) {
+      return res.status(401).json({ error: 'Missing or invalid actor token' });
+    }
+
+    try {
+      const message = await pool.query(
+        'SELECT id FROM messages WHERE id = $1 AND (from_user_id = $2 OR to_user_id = $2)',
+        [req.params.messageId, userId]
+      );
+      if (message.rows.length === 0) {
+        return res.status(404).json({ error: 'Message not found' });
+      }
+
+      const result = await pool.query(
+        'SELECT * FROM message_edits WHERE message_id = $1 ORDER BY edited_at ASC',
+        [req.params.messageId]
+      );
+      res.json({ edits: result.rows, message_id: req.params.messageId, shard_id: shardId });
+    } catch (error) {
+      log.error('Error fetching edit history', { error: error.message });
+      res.status(500).json({ error: 'Failed to fetch edit history', details: error.message });
+    }
+  });
+}
+
+module.exports = { createEditRoutes };
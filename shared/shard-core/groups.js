@@ -0,0 +1,358 @@
+/**
+ * Group Routes
+ * Groups live on a "home" shard picked by the gateway (hash ring on `group:<id>`).
+ * The home shard stores members and messages and assigns each message a per-group
+ * sequence number, so every member sees the same order no matter which shard they're on.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { actorFromRequest } = require('./auth');
+const { createLogger } = require('./logger');
+
+const GROUP_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Load a group's members, or null if the group doesn't exist on this shard
+ */
+async function getMembers(pool, groupId) {
+  const group = await pool.query('SELECT id FROM groups WHERE id = $1', [groupId]);
+  if (group.rows.length === 0) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `SELECT user_id, role, joined_at FROM group_members WHERE group_id = $1 ORDER BY joined_at, user_id`,
+    [groupId]
+  );
+  return result.rows;
+}
+
+function findMember(members, userId) {
+  return members.find(m => m.user_id === String(userId));
+}
+
+function createGroupRoutes(app, pool, shardId, offlineQueue) {
+  const log = createLogger({ service: 'shard', shard: String(shardId), component: 'groups' });
+
+  // A group ID that isn't a UUID is a bad request, not a database error
+  app.param('groupId', (req, res, next, groupId) => {
+    if (!GROUP_ID_PATTERN.test(groupId)) {
+      return res.status(400).json({ error: 'Invalid group ID' });
+    }
+    next();
+  });
+
+  /**
+   * Middleware - load the group and require the acting user to be a member (or admin).
+   * The actor comes from the body, or from the signed X-Actor-Token header on reads.
+   */
+  function loadGroup({ adminOnly = false } = {}) {
+    return async (req, res, next) => {
+      try {
+        const actorId = req.body.actor_id || actorFromRequest(req);
+        const members = await getMembers(pool, req.params.groupId);
+
+        if (!members) {
+          return res.status(404).json({ error: 'Group not found' });
+        }
+
+        const actor = findMember(members, actorId);
+        if (!actor) {
+          return res.status(403).json({ error: 'Forbidden', details: 'Not a member of this group' });
+        }
+        if (adminOnly && actor.role !== 'admin') {
+          return res.status(403).json({ error: 'Forbidden', details: 'Group admin required' });
+        }
+
+        req.members = members;
+        req.actor = actor;
+        next();
+      } catch (error) {
+        log.error('Error loading group', { error: error.message });
+        res.status(500).json({ error: 'Failed to load group', details: error.message });
+      }
+    };
+  }
+
+  /**
+   * POST /api/groups
+   * Create a group - the creator becomes its first admin
+   */
+  app.post('/api/groups', async (req, res) => {
+    const { id, name, actor_id, member_ids = [] } = req.body;
+
+    if (!id || !name || !actor_id) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+    if (!GROUP_ID_PATTERN.test(id)) {
+      return res.status(400).json({ error: 'Invalid group ID' });
+    }
+
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+      await client.query(
+        `INSERT INTO groups (id, name, created_by, shard_id) VALUES ($1, $2, $3, $4)`,
+        [id, name, String(actor_id), shardId]
+      );
+      await client.query(
+        `INSERT INTO group_members (group_id, user_id, role) VALUES ($1, $2, 'admin')`,
+        [id, String(actor_id)]
+      );
+      for (const memberId of new Set(member_ids.map(String))) {
+        if (memberId !== String(actor_id)) {
+          await client.query(
+            `INSERT INTO group_members (group_id, user_id, role) VALUES ($1, $2, 'member')`,
+            [id, memberId]
+          );
+        }
+      }
+      await client.query('COMMIT');
+
+      log.info(`Group created: ${id}`);
+      res.status(201).json({
+        group: { id, name, created_by: String(actor_id), shard_id: shardId },
+        members: await getMembers(pool, id)
+      });
+    } catch (error) {
+      if (client) await client.query('ROLLBACK');
+      log.error('Error creating group', { error: error.message });
+      res.status(500).json({ error: 'Failed to create group', details: error.message });
+    } finally {
+      if (client) client.release();
+    }
+  });
+
+  /**
+   * GET /api/groups?member=:userId
+   * List groups homed on this shard that a user belongs to
+   */
+  app.get('/api/groups', async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT g.id, g.name, g.created_by, g.created_at, g.last_seq, m.role
+         FROM groups g
+         JOIN group_members m ON m.group_id = g.id
+         WHERE m.user_id = $1
+         ORDER BY g.created_at`,
+        [String(req.query.member)]
+      );
+
+      res.json({ groups: result.rows, shard_id: shardId });
+    } catch (error) {
+      log.error('Error listing groups', { error: error.message });
+      res.status(500).json({ error: 'Failed to list groups', details: error.message });
+    }
+  });
+
+  /**
+   * GET /api/groups/:groupId
+   * Get a group and its members
+   */
+  app.get('/api/groups/:groupId', loadGroup(), async (req, res) => {
+    try {
+      const result = await pool.query('SELECT * FROM groups WHERE id = $1', [req.params.groupId]);
+      res.json({ group: result.rows[0], members: req.members, shard_id: shardId });
+    } catch (error) {
+      log.error('Error fetching group', { error: error.message });
+      res.status(500).json({ error: 'Failed to fetch group', details: error.message });
+    }
+  });
+
+  /**
+   * POST /api/groups/:groupId/members
+   * Admin adds a member
+   */
+  app.post('/api/groups/:groupId/members', loadGroup({ adminOnly: true }), async (req, res) => {
+    try {
+      await pool.query(
+        `INSERT INTO group_members (group_id, user_id, role) VALUES ($1, $2, 'member')
+         ON CONFLICT DO NOTHING`,
+        [req.params.groupId, String(req.body.user_id)]
+      );
+
+      res.json({ members: await getMembers(pool, req.params.groupId), shard_id: shardId });
+    } catch (error) {
+      log.error('Error adding member', { error: error.message });
+      res.status(500).json({ error: 'Failed to add member', details: error.message });
+    }
+  });
+
+  /**
+   * POST /api/groups/:groupId/admins
+   * Admin promotes a member to admin
+   */
+  app.post('/api/groups/:groupId/admins', loadGroup({ adminOnly: true }), async (req, res) => {
+    try {
+      if (!findMember(req.members, req.body.user_id)) {
+        return res.status(404).json({ error: 'User is not a member of this group' });
+      }
+
+      await pool.query(
+        `UPDATE group_members SET role = 'admin' WHERE group_id = $1 AND user_id = $2`,
+        [req.params.groupId, String(req.body.user_id)]
+      );
+
+      res.json({ members: await getMembers(pool, req.params.groupId), shard_id: shardId });
+    } catch (error) {
+      log.error('Error promoting member', { error: error.message });
+      res.status(500).json({ error: 'Failed to promote member', details: error.message });
+    }
+  });
+
+  /**
+   * POST /api/groups/:groupId/join
+   * A user joins a group
+   */
+  app.post('/api/groups/:groupId/join', async (req, res) => {
+    try {
+      const members = await getMembers(pool, req.params.groupId);
+      if (!members) {
+        return res.status(404).json({ error: 'Group not found' });
+      }
+
+      await pool.query(
+        `INSERT INTO group_members (group_id, user_id, role) VALUES ($1, $2, 'member')
+         ON CONFLICT DO NOTHING`,
+        [req.params.groupId, String(req.body.actor_id)]
+      );
+
+      res.json({ members: await getMembers(pool, req.params.groupId), shard_id: shardId });
+    } catch (error) {
+      log.error('Error joining group', { error: error.message });
+      res.status(500).json({ error: 'Failed to join group', details: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/groups/:groupId/members/:userId - Body: { actor_id }
+   * A member leaves (userId = actor) or an admin removes someone.
+   * If the last admin leaves, the longest-standing member is promoted.
+   */
+  app.delete('/api/groups/:groupId/members/:userId', loadGroup(), async (req, res) => {
+    try {
+      const { groupId, userId } = req.params;
+      const { actor } = req;
+
+      if (actor.user_id !== String(userId) && actor.role !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden', details: 'Group admin required' });
+      }
+
+      await pool.query('DELETE FROM group_members WHERE group_id = $1 AND user_id = $2', [groupId, String(userId)]);
+
+      const remaining = await getMembers(pool, groupId);
+      if (remaining.length > 0 && !remaining.some(m => m.role === 'admin')) {
+        await pool.query(
+          `UPDATE group_members SET role = 'admin' WHERE group_id = $1 AND user_id = $2`,
+          [groupId, remaining[0].user_id]
+        );
+      }
+
+      res.json({ members: await getMembers(pool, groupId), shard_id: shardId });
+    } catch (error) {
+      log.error('Error removing member', { error: error.message });
+      res.status(500).json({ error: 'Failed to remove member', details: error.message });
+    }
+  });
+
+  /**
+   * POST /api/groups/:groupId/messages
+   * Store a group message with the next sequence number.
+   * Returns the member list so the gateway can fan the message out.
+   */
+  app.post('/api/groups/:groupId/messages', loadGroup(), async (req, res) => {
+    const { groupId } = req.params;
+    const { actor_id, content } = req.body;
+
+    if (!content) {
+      return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    let client;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+      // Row lock on the group serialises sequence numbers
+      const seqResult = await client.query(
+        `UPDATE groups SET last_seq = last_seq + 1 WHERE id = $1 RETURNING last_seq`,
+        [groupId]
+      );
+      const message = {
+        id: uuidv4(),
+        group_id: groupId,
+        seq: Number(seqResult.rows[0].last_seq),
+        from_user_id: String(actor_id),
+        content,
+        created_at: new Date(),
+        shard_id: shardId
+      };
+      await client.query(
+        `INSERT INTO group_messages (id, group_id, seq, from_user_id, content, created_at, shard_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [message.id, groupId, message.seq, message.from_user_id, content, message.created_at, shardId]
+      );
+      await client.query('COMMIT');
+
+      log.info(`Group message ${message.id} (seq ${message.seq}) in group ${groupId}`);
+      res.json({ message, member_ids: req.members.map(m => m.user_id), shard_id: shardId });
+    } catch (error) {
+      if (client) await client.query('ROLLBACK');
+      log.error('Error creating group message', { error: error.message });
+      res.status(500).json({ error: 'Failed to create group message', details: error.message });
+    } finally {
+      if (client) client.release();
+    }
+  });
+
+  /**
+   * GET /api/groups/:groupId/messages
+   * Group history in sequence order - ?after_seq= for catching up, ?limit= to page
+   */
+  app.get('/api/groups/:groupId/messages', loadGroup(), async (req, res) => {
+    try {
+      const afterSeq = parseInt(req.query.after_seq) || 0;
+      const limit = parseInt(req.query.limit) || 100;
+
+      const result = await pool.query(
+        `SELECT * FROM group_messages
+         WHERE group_id = $1 AND seq > $2
+         ORDER BY seq ASC
+         LIMIT $3`,
+        [req.params.groupId, afterSeq, limit]
+      );
+
+      const messages = result.rows.map(row => ({ ...row, seq: Number(row.seq) }));
+      res.json({ messages, group_id: req.params.groupId, shard_id: shardId });
+    } catch (error) {
+      log.error('Error fetching group messages', { error: error.message });
+      res.status(500).json({ error: 'Failed to fetch group messages', details: error.message });
+    }
+  });
+
+  /**
+   * POST /api/groups/deliver
+   * Deliver a group message to members homed on this shard (fan-out target).
+   * Members connected to another shard are reached over the message bus.
+   */
+  app.post('/api/groups/deliver', async (req, res) => {
+    try {
+      const { message, user_ids = [] } = req.body;
+      const delivered = [];
+
+      for (const userId of user_ids) {
+        const { pushed } = await offlineQueue.deliver(userId, { type: 'group_message', ...message }, { isHome: true });
+        if (pushed) {
+          delivered.push(String(userId));
+        }
+      }
+
+      res.json({ delivered, queued: user_ids.length, shard_id: shardId });
+    } catch (error) {
+      log.error('Error delivering group message', { error: error.message });
+      res.status(500).json({ error: 'Failed to deliver group message', details: error.message });
+    }
+  });
+}
+
+module.exports = { createGroupRoutes };
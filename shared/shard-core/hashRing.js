@@ -0,0 +1,163 @@
+/**
+ * Consistent Hash Ring
+ * Maps user IDs to shards using consistent hashing with weighted virtual nodes
+ * Shared by the gateway and every shard so routing decisions always agree
+ */
+
+const crypto = require('crypto');
+
+// Default ring layout - override with SHARD_RING_NODES="1:1,2:1,3:1" (shardId:weight)
+const DEFAULT_RING_NODES = [
+  { id: 1, weight: 1 },
+  { id: 2, weight: 1 },
+  { id: 3, weight: 1 }
+];
+
+// Virtual nodes placed on the ring per unit of weight
+const DEFAULT_VNODES_PER_WEIGHT = 128;
+
+/**
+ * Hash a key to an unsigned 32-bit position on the ring
+ */
+function hashKey(key) {
+  const digest = crypto.createHash('md5').update(String(key)).digest();
+  return digest.readUInt32BE(0);
+}
+
+class ConsistentHashRing {
+  constructor(nodes = DEFAULT_RING_NODES, vnodesPerWeight = DEFAULT_VNODES_PER_WEIGHT) {
+    this.vnodesPerWeight = vnodesPerWeight;
+    this.nodes = new Map();
+    this.ring = []; // Sorted array of { position, shardId }
+
+    nodes.forEach(node => this.addNode(node.id, node.weight));
+  }
+
+  /**
+   * Add (or re-weight) a shard on the ring
+   */
+  addNode(shardId, weight = 1) {
+    const id = parseInt(shardId);
+    if (!Number.isInteger(id) || id <= 0) {
+      throw new Error(`Invalid shard id: ${shardId}`);
+    }
+    if (!(weight > 0)) {
+      throw new Error(`Invalid weight for shard ${id}: ${weight}`);
+    }
+
+    this.nodes.set(id, { id, weight });
+    this.rebuild();
+  }
+
+  /**
+   * Remove a shard from the ring - its keys move to the next shard clockwise
+   */
+  removeNode(shardId) {
+    this.nodes.delete(parseInt(shardId));
+    this.rebuild();
+  }
+
+  rebuild() {
+    const ring = [];
+
+    for (const node of this.nodes.values()) {
+      const vnodes = Math.max(1, Math.round(node.weight * this.vnodesPerWeight));
+      for (let i = 0; i < vnodes; i++) {
+        ring.push({ position: hashKey(`shard-${node.id}#${i}`), shardId: node.id });
+      }
+    }
+
+    // Tie-break on shard id so every process builds the exact same ring
+    ring.sort((a, b) => a.position - b.position || a.shardId - b.shardId);
+    this.ring = ring;
+  }
+
+  /**
+   * Find the shard that owns a user - first virtual node clockwise from the user's hash
+   */
+  getShardId(userId) {
+    if (this.ring.length === 0) {
+      throw new Error('Hash ring has no shards');
+    }
+
+    const position = hashKey(userId);
+    let low = 0;
+    let high = this.ring.length;
+
+    // Binary search for the first virtual node at or after the position
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if (this.ring[mid].position < position) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return this.ring[low % this.ring.length].shardId;
+  }
+
+  /**
+   * Describe a lookup - used by the gateway lookup API
+   */
+  lookup(userId) {
+    return {
+      user_id: String(userId),
+      hash: hashKey(userId),
+      shard_id: this.getShardId(userId)
+    };
+  }
+
+  /**
+   * Summarise the ring: weight, virtual nodes and share of the hash space per shard
+   */
+  describe() {
+    const RING_SIZE = 2 ** 32;
+    const ownership = new Map();
+
+    this.ring.forEach((vnode, index) => {
+      const previous = index === 0
+        ? this.ring[this.ring.length - 1].position - RING_SIZE
+        : this.ring[index - 1].position;
+      ownership.set(vnode.shardId, (ownership.get(vnode.shardId) || 0) + (vnode.position - previous));
+    });
+
+    return [...this.nodes.values()]
+      .sort((a, b) => a.id - b.id)
+      .map(node => ({
+        shard_id: node.id,
+        weight: node.weight,
+        virtual_nodes: this.ring.filter(v => v.shardId === node.id).length,
+        ownership: Number(((ownership.get(node.id) || 0) / RING_SIZE).toFixed(4))
+      }));
+  }
+}
+
+/**
+ * Parse SHARD_RING_NODES ("1:1,2:1,3:2") into ring node definitions
+ */
+function parseRingNodes(value) {
+  if (!value) {
+    return DEFAULT_RING_NODES;
+  }
+
+  return value.split(',').map(entry => {
+    const [id, weight = '1'] = entry.trim().split(':');
+    return { id: parseInt(id), weight: parseFloat(weight) };
+  });
+}
+
+/**
+ * Create the ring every service uses, configured from the environment
+ */
+function createShardRing(env = process.env) {
+  const vnodes = parseInt(env.SHARD_RING_VNODES) || DEFAULT_VNODES_PER_WEIGHT;
+  return new ConsistentHashRing(parseRingNodes(env.SHARD_RING_NODES), vnodes);
+}
+
+module.exports = {
+  ConsistentHashRing,
+  createShardRing,
+  hashKey,
+  DEFAULT_RING_NODES
+};
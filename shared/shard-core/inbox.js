@@ -0,0 +1,174 @@
+/**
+ * Inbox
+ * One row per (user, counterpart) in `inbox_entries` with the conversation's last
+ * message and the user's unread count, for the messages stored on this shard. Sends,
+ * read receipts, edits and deletes update the rows as they happen; resharding imports
+ * and purges rebuild the rows of the users involved from the messages table.
+ * A conversation's messages live on both participants' shards (each on its sender's),
+ * so every shard holds part of a user's inbox and the gateway merges them: newest last
+ * message wins, unread counts add up. Each user's part is cached in Redis by cache.js.
+ */
+
+const { createLogger } = require('./logger');
+
+const PREVIEW_LENGTH = 100;
+
+// Columns describing the last message - replaced together when a newer message arrives
+const LAST_MESSAGE_COLUMNS = ['last_message_id', 'last_from_user_id', 'last_content', 'last_message_type', 'last_message_at', 'last_deleted'];
+const NEWER = '(EXCLUDED.last_message_at, EXCLUDED.last_message_id) > (e.last_message_at, e.last_message_id)';
+
+// Both sides of every message involving the users in $1, latest message and unread count per pair
+const REBUILD_SQL = `
+  INSERT INTO inbox_entries (user_id, counterpart_id, ${LAST_MESSAGE_COLUMNS.join(', ')}, unread_count)
+  SELECT DISTINCT ON (user_id, counterpart_id)
+         user_id, counterpart_id, id, from_user_id, LEFT(content, ${PREVIEW_LENGTH}), message_type, created_at,
+         deleted_at IS NOT NULL,
+         COUNT(*) FILTER (WHERE unread) OVER (PARTITION BY user_id, counterpart_id)
+  FROM (
+    SELECT from_user_id AS user_id, to_user_id AS counterpart_id, id, from_user_id, content, message_type, created_at, deleted_at,
+           false AS unread
+    FROM messages
+    WHERE from_user_id = ANY($1) OR to_user_id = ANY($1)
+    UNION ALL
+    SELECT to_user_id, from_user_id, id, from_user_id, content, message_type, created_at, deleted_at,
+           status <> 'read' AND deleted_at IS NULL
+    FROM messages
+    WHERE (from_user_id = ANY($1) OR to_user_id = ANY($1)) AND to_user_id <> from_user_id
+  ) sides
+  ORDER BY user_id, counterpart_id, created_at DESC, id DESC`;
+
+function toEntry(row) {
+  return {
+    counterpart_id: row.counterpart_id,
+    last_message: {
+      id: row.last_message_id,
+      from_user_id: row.last_from_user_id,
+      content: row.last_content,
+      message_type: row.last_message_type,
+      created_at: row.last_message_at,
+      deleted: row.last_deleted
+    },
+    unread_count: row.unread_count
+  };
+}
+
+function createInbox(app, pool, cache, shardId) {
+  const log = createLogger({ service: 'shard', shard: String(shardId), component: 'inbox' });
+
+  /**
+   * A new message: it becomes the last message of both sides and unread for the recipient
+   */
+  async function messageStored(message) {
+    const sides = [{ userId: message.from_user_id, counterpartId: message.to_user_id, unread: 0 }];
+    if (String(message.to_user_id) !== String(message.from_user_id)) {
+      sides.push({ userId: message.to_user_id, counterpartId: message.from_user_id, unread: 1 });
+    }
+
+    for (const side of sides) {
+      await pool.query(
+        `INSERT INTO inbox_entries AS e (user_id, counterpart_id, ${LAST_MESSAGE_COLUMNS.join(', ')}, unread_count)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, false, $8)
+         ON CONFLICT (user_id, counterpart_id) DO UPDATE SET
+           ${LAST_MESSAGE_COLUMNS.map(c => `${c} = CASE WHEN ${NEWER} THEN EXCLUDED.${c} ELSE e.${c} END`).join(',\n           ')},
+           unread_count = e.unread_count + EXCLUDED.unread_count`,
+        [String(side.userId), String(side.counterpartId), message.id, String(message.from_user_id),
+          message.content.slice(0, PREVIEW_LENGTH), message.message_type, message.created_at, side.unread]
+      );
+    }
+    await cache.dropInboxes([message.from_user_id, message.to_user_id]);
+  }
+
+  /**
+   * Messages just marked read (full rows) - each one leaves its recipient's unread count
+   */
+  async function messagesRead(rows) {
+    const counts = new Map();
+    rows.filter(row => !row.deleted_at && row.from_user_id !== row.to_user_id).forEach(row => {
+      const pair = `${row.to_user_id}\n${row.from_user_id}`;
+      counts.set(pair, (counts.get(pair) || 0) + 1);
+    });
+
+    for (const [pair, count] of counts) {
+      const [userId, counterpartId] = pair.split('\n');
+      await pool.query(
+        `UPDATE inbox_entries SET unread_count = GREATEST(unread_count - $3, 0)
+         WHERE user_id = $1 AND counterpart_id = $2`,
+        [userId, counterpartId, count]
+      );
+    }
+    await cache.dropInboxes(rows.flatMap(row => [row.from_user_id, row.to_user_id]));
+  }
+
+  /**
+   * An edited or deleted message (full row) - refresh the preview where it is the last message.
+   * A deleted message that was still unread no longer counts as unread.
+   */
+  async function messageChanged(message) {
+    await pool.query(
+      `UPDATE inbox_entries SET last_content = $2, last_deleted = $3 WHERE last_message_id = $1`,
+      [message.id, message.content.slice(0, PREVIEW_LENGTH), Boolean(message.deleted_at)]
+    );
+
+    if (message.deleted_at && message.status !== 'read' && message.from_user_id !== message.to_user_id) {
+      await pool.query(
+        `UPDATE inbox_entries SET unread_count = GREATEST(unread_count - 1, 0)
+         WHERE user_id = $1 AND counterpart_id = $2`,
+        [message.to_user_id, message.from_user_id]
+      );
+    }
+    await cache.dropInboxes([message.from_user_id, message.to_user_id]);
+  }
+
+  /**
+   * Recompute every entry involving these users from the messages table
+   */
+  async function rebuild(userIds) {
+    const ids = [...new Set(userIds.map(String))];
+    if (ids.length === 0) return;
+
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query('DELETE FROM inbox_entries WHERE user_id = ANY($1) OR counterpart_id = ANY($1)', [ids]);
+      const result = await client.query(REBUILD_SQL, [ids]);
+      await client.query('COMMIT');
+      log.info(`Rebuilt ${result.rowCount} inbox entries for ${ids.length} user(s)`);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // Counterparts' entries changed too
+    await cache.dropInboxes(ids);
+  }
+
+  /**
+   * GET /api/inbox/:userId
+   * This shard's part of a user's inbox, most recent conversation first
+   */
+  app.get('/api/inbox/:userId', async (req, res) => {
+    try {
+      const { userId } = req.params;
+
+      const entries = await cache.inboxEntries(userId, async () => {
+        const result = await pool.query(
+          `SELECT * FROM inbox_entries WHERE user_id = $1
+           ORDER BY last_message_at DESC, last_message_id DESC`,
+          [String(userId)]
+        );
+        return result.rows.map(toEntry);
+      });
+
+      res.json({ entries, user_id: userId, shard_id: shardId });
+    } catch (error) {
+      log.error('Error fetching inbox', { error: error.message });
+      res.status(500).json({ error: 'Failed to fetch inbox', details: error.message });
+    }
+  });
+
+  return { messageStored, messagesRead, messageChanged, rebuild };
+}
+
+module.exports = { createInbox };
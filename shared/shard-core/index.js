@@ -9,9 +9,28 @@ const cors = require('cors');
 const http = require('http');
 const WebSocket = require('ws');
 const redis = require('redis');
-const pg = require('pg');
 const { v4: uuidv4 } = require('uuid');
 const { ReplicationManager } = require('./replication');
+const { DatabaseFailover } = require('./dbFailover');
+const { createConsistencyRoutes } = require('./consistency');
+const { createMetrics } = require('./metrics');
+const { createReshardingRoutes } = require('./resharding');
+const { createGroupRoutes } = require('./groups');
+const { createReceiptRoutes } = require('./receipts');
+const { createOfflineQueue } = require('./offlineQueue');
+const { createMessageBus } = require('./messageBus');
+const { createSearchRoutes } = require('./search');
+const { createEditRoutes } = require('./edits');
+const { createCache } = require('./cache');
+const { createInbox } = require('./inbox');
+const { createUserRoutes } = require('./users');
+const { createPrivacy } = require('./privacy');
+const { createPresence, HEARTBEAT_INTERVAL_MS } = require('./presence');
+const { createShardRing } = require('./hashRing');
+const { RoutingTable } = require('./routing');
+const { DEFAULT_PAGE_SIZE, parsePageParams, cursorClause, buildPage } = require('./pagination');
+const { hashPassword, verifyPassword, signToken, verifyToken, verifyAttachmentToken, extractBearerToken, JWT_EXPIRES_IN } = require('./auth');
+const { createLogger, requestLogging, runWithRequestId, currentRequestId } = require('./logger');
 
 /**
  * Main function to create and initialize a shard server
@@ -23,62 +42,248 @@ async function createShardServer(shardConfig) {
     SHARD_ID = '1',
     PORT = 4001,
     REDIS_URL = 'redis://redis:6379',
+    BUS_URL = 'redis://redis-bus:6379',
     DB_HOST = 'postgres',
     DB_PORT = 5432,
     DB_NAME = 'whatsapp',
     DB_USER = 'postgres',
     DB_PASSWORD = 'postgres',
     DB_BACKUP_HOST = 'postgres-backup',
-    DB_BACKUP_PORT = 5432
+    DB_BACKUP_PORT = 5432,
+    GATEWAY_URL = 'http://gateway:3000'
   } = shardConfig;
 
-  console.log(`[SHARD-${SHARD_ID}] Initializing shard server...`);
+  const log = createLogger({ service: 'shard', shard: String(SHARD_ID) });
+  log.info('Initializing shard server...');
 
   // ==================== SETUP EXPRESS & HTTP ====================
   const app = express();
   const server = http.createServer(app);
   const wss = new WebSocket.Server({ server, path: '/ws' });
 
+  // ==================== METRICS ====================
+  // Prometheus registry served on /metrics; every series carries the shard label
+  const metrics = createMetrics({ service: 'shard', shard: String(SHARD_ID) });
+
   // ==================== SETUP DATABASE CONNECTIONS ====================
   const redisClient = redis.createClient({ url: REDIS_URL });
-  await redisClient.connect();
-  console.log(`[SHARD-${SHARD_ID}] Connected to Redis`);
-
-  const pool = new pg.Pool({
-    host: DB_HOST,
-    port: DB_PORT,
-    database: DB_NAME,
-    user: DB_USER,
-    password: DB_PASSWORD
+  // Without a listener a dropped connection would crash the shard instead of reconnecting
+  redisClient.on('error', (err) => {
+    log.error('Redis connection error', { error: err.message });
   });
+  await redisClient.connect();
+  log.info('Connected to Redis');
+
+  const primaryDB = { host: DB_HOST, port: DB_PORT, database: DB_NAME, user: DB_USER, password: DB_PASSWORD };
+  const backupDB = { host: DB_BACKUP_HOST, port: DB_BACKUP_PORT, database: DB_NAME, user: DB_USER, password: DB_PASSWORD };
+
+  // ==================== SETUP DATABASE REPLICATION ====================
+  const replicationManager = new ReplicationManager(SHARD_ID, primaryDB, backupDB, metrics);
+
+  // ==================== SETUP DATABASE FAILOVER ====================
+  // `pool` follows the active database: the primary, or the backup while the primary is down
+  const failover = new DatabaseFailover(SHARD_ID, primaryDB, backupDB, replicationManager);
+  const pool = failover.pool;
 
   pool.on('error', (err) => {
-    console.error(`[SHARD-${SHARD_ID}] PostgreSQL connection error:`, err.message);
+    log.error('PostgreSQL connection error', { error: err.message });
   });
 
-  // ==================== SETUP DATABASE REPLICATION ====================
-  const replicationManager = new ReplicationManager(
-    SHARD_ID,
-    { host: DB_HOST, port: DB_PORT, database: DB_NAME, user: DB_USER, password: DB_PASSWORD },
-    { host: DB_BACKUP_HOST, port: DB_BACKUP_PORT, database: DB_NAME, user: DB_USER, password: DB_PASSWORD }
-  );
-  
+  // Before replication starts, so a fenced primary is never copied over the backup
+  await failover.initialize();
+
   replicationManager.initialize();
-  console.log(`[SHARD-${SHARD_ID}] Replication manager initialized`);
+  log.info('Replication manager initialized');
 
   // ==================== SETUP MIDDLEWARE ====================
-  app.use(cors());
+  app.use(cors({ exposedHeaders: ['X-Request-ID'] }));
   app.use(express.json());
-
-  // Request logging middleware
+  // Picks up the gateway's X-Request-ID and logs each request as one JSON line
+  app.use(requestLogging(log));
+  app.use(metrics.middleware);
+  metrics.expose(app);
+
+  // The HTTP API is for the gateway and other services only - users go through the gateway,
+  // which checks their token. /metrics (above) and /health stay open for scrapes and probes;
+  // WebSocket register checks the user's own token.
   app.use((req, res, next) => {
-    console.log(`[SHARD-${SHARD_ID}] ${req.method} ${req.path}`);
-    next();
+    if (req.path === '/health') {
+      return next();
+    }
+    try {
+      if (verifyToken(extractBearerToken(req)).role === 'service') {
+        return next();
+      }
+    } catch (error) {
+      // Missing, invalid or expired - refused below
+    }
+    res.status(401).json({ error: 'Unauthorized', details: 'Service token required' });
   });
 
   // ==================== WEBSOCKET CONNECTION TRACKING ====================
   const connectedClients = new Map();
 
+  metrics.gauge('websocket_connected_clients', 'Users with a registered WebSocket on this shard', [], function () {
+    this.set(connectedClients.size);
+  });
+
+  // ==================== MESSAGE BUS ====================
+  // Shared Redis pub/sub - reaches users whose socket is registered on another shard
+  const bus = createMessageBus(BUS_URL, SHARD_ID, connectedClients);
+  await bus.connect();
+
+  // ==================== ROUTING ====================
+  // The gateway's ring and resharding overrides, from the bus Redis - which users this shard owns
+  const routingTable = new RoutingTable(createShardRing(), BUS_URL);
+  await routingTable.connect();
+
+  function ownsUser(userId) {
+    return routingTable.resolve(userId) === parseInt(SHARD_ID);
+  }
+
+  // ==================== MESSAGE CACHE ====================
+  // Write-through conversation windows in Redis; hits/misses are published on the bus
+  const cache = createCache(redisClient, SHARD_ID, bus, metrics);
+
+  // ==================== CONTACTS & PRIVACY ====================
+  // Contacts, blocks and privacy settings of this shard's users; policies cached in the bus Redis
+  const privacy = createPrivacy(app, pool, BUS_URL, SHARD_ID, GATEWAY_URL);
+  await privacy.connect();
+
+  // ==================== PRESENCE ====================
+  // Online/last-seen in the shared bus Redis, fed by register, heartbeat and close; typing relays
+  const presence = createPresence(BUS_URL, SHARD_ID, bus, privacy);
+  await presence.connect();
+
+  // ==================== INBOX ====================
+  // Last message and unread count per conversation, kept current by every write below
+  const inbox = createInbox(app, pool, cache, SHARD_ID);
+
+  // ==================== RESHARDING ROUTES ====================
+  // Export/import/dual-write endpoints driven by the gateway's resharding coordinator
+  const resharding = createReshardingRoutes(app, pool, redisClient, SHARD_ID, cache, inbox);
+
+  // ==================== OFFLINE QUEUE ====================
+  // Per-user Redis streams, replayed on register until the client acks
+  const offlineQueue = createOfflineQueue(app, redisClient, SHARD_ID, connectedClients, bus, GATEWAY_URL);
+
+  // ==================== GROUP ROUTES ====================
+  // Groups homed on this shard; the gateway fans their messages out to member shards
+  createGroupRoutes(app, pool, SHARD_ID, offlineQueue);
+
+  // ==================== RECEIPT ROUTES ====================
+  // Delivery/read acks are relayed through the gateway to the sender's shard
+  const receipts = createReceiptRoutes(app, pool, cache, inbox, SHARD_ID, bus, GATEWAY_URL);
+
+  // ==================== EDIT/DELETE ROUTES ====================
+  // Sender-only edits (with history) and soft-delete tombstones
+  createEditRoutes(app, pool, cache, inbox, SHARD_ID, bus, resharding);
+
+  // ==================== SEARCH ROUTES ====================
+  // Full-text search over this shard's messages; the gateway scatters and merges
+  createSearchRoutes(app, pool, SHARD_ID);
+
+  // ==================== REPLICATION STATUS ====================
+  // Checkpoint and lag of the change-log replication to this shard's backup
+
+  /**
+   * GET /api/replication/status
+   * Last applied change-log seq and lag in rows and seconds
+   */
+  app.get('/api/replication/status', async (req, res) => {
+    const status = await replicationManager.getStatus();
+    res.json({ ...status, shard_id: SHARD_ID });
+  });
+
+  metrics.gauge('replication_lag_rows', 'Change-log entries not yet applied to the backup', [], async function () {
+    const status = await replicationManager.getStatus();
+    if (status.lag_rows !== undefined) this.set(status.lag_rows);
+  });
+  metrics.gauge('replication_lag_seconds', 'Age of the oldest change-log entry not yet applied to the backup', [], async function () {
+    const status = await replicationManager.getStatus();
+    if (status.lag_seconds !== undefined) this.set(status.lag_seconds);
+  });
+
+  // Chunked checksum comparison of primary and backup, with optional repair
+  createConsistencyRoutes(app, SHARD_ID, replicationManager, failover);
+
+  // ==================== AUTH ROUTES ====================
+
+  /**
+   * POST /api/auth/signup
+   * Create an account for a user owned by this shard
+   */
+  app.post('/api/auth/signup', async (req, res) => {
+    try {
+      const { user_id, name, password } = req.body;
+
+      if (!user_id || !name || !password) {
+        return res.status(400).json({ error: 'Missing required fields' });
+      }
+      if (String(password).length < 8) {
+        return res.status(400).json({ error: 'Password must be at least 8 characters' });
+      }
+
+      const passwordHash = await hashPassword(password);
+      const result = await pool.query(
+        `INSERT INTO users (id, name, shard_id, password_hash) VALUES ($1, $2, $3, $4)
+         ON CONFLICT (id) DO NOTHING`,
+        [user_id, name, SHARD_ID, passwordHash]
+      );
+
+      if (result.rowCount === 0) {
+        return res.status(409).json({ error: 'User already exists' });
+      }
+
+      log.info(`User ${user_id} signed up`);
+      res.status(201).json({
+        user: { id: parseInt(user_id), name },
+        token: signToken(user_id),
+        expires_in: JWT_EXPIRES_IN,
+        shard_id: SHARD_ID
+      });
+    } catch (error) {
+      log.error('Error signing up', { error: error.message });
+      res.status(500).json({ error: 'Failed to sign up', details: error.message });
+    }
+  });
+
+  /**
+   * POST /api/auth/login
+   * Check a user's password and issue a signed token
+   */
+  app.post('/api/auth/login', async (req, res) => {
+    try {
+      const { user_id, password } = req.body;
+
+      if (!user_id || !password) {
+        return res.status(400).json({ error: 'Missing required fields' });
+      }
+
+      const result = await pool.query(
+        `SELECT id, name, password_hash, deactivated_at FROM users WHERE id = $1`,
+        [user_id]
+      );
+      const user = result.rows[0];
+
+      // Deactivated accounts have no password left - refused like a wrong one
+      if (!user || user.deactivated_at || !(await verifyPassword(password, user.password_hash))) {
+        return res.status(401).json({ error: 'Invalid user ID or password' });
+      }
+
+      log.info(`User ${user_id} logged in`);
+      res.json({
+        user: { id: user.id, name: user.name },
+        token: signToken(user.id),
+        expires_in: JWT_EXPIRES_IN,
+        shard_id: SHARD_ID
+      });
+    } catch (error) {
+      log.error('Error logging in', { error: error.message });
+      res.status(500).json({ error: 'Failed to log in', details: error.message });
+    }
+  });
+
   // ==================== USER ROUTES ====================
 
   /**
@@ -86,161 +291,261 @@ async function createShardServer(shardConfig) {
    * Health check endpoint
    */
   app.get('/health', (req, res) => {
-    res.json({ status: 'ok', service: `shard-${SHARD_ID}` });
+    const database = failover.getStatus();
+    res.json({
+      status: database.role === 'primary' ? 'ok' : 'degraded',
+      service: `shard-${SHARD_ID}`,
+      database
+    });
   });
 
+  // Listing, prefix search, lookup, creation, profile updates and deactivation
+  createUserRoutes(app, pool, SHARD_ID, privacy);
+
+  // ==================== MESSAGE WRITES ====================
+  // Shared by POST /api/messages and WebSocket send_message; idempotent per client_message_id
+
+  const MAX_CLIENT_MESSAGE_ID_LENGTH = 64;
+
+  function invalidMessage(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  }
+
+  // A sender's messages are written on their own shard only - a stale route must not split them
+  function assertOwnsSender(userId) {
+    if (!ownsUser(userId)) {
+      const error = new Error(`User ${userId} belongs to shard ${routingTable.resolve(userId)}, not shard ${SHARD_ID}`);
+      error.status = 403;
+      throw error;
+    }
+  }
+
   /**
-   * GET /api/users
-   * Get all users in this shard
+   * Metadata of the attachment an attachment token vouches for - only its uploader may send it
    */
-  app.get('/api/users', async (req, res) => {
+  function attachmentFrom(token, fromUserId) {
+    let claims;
     try {
-      const result = await pool.query(
-        `SELECT id, name FROM users ORDER BY id`
+      claims = verifyAttachmentToken(token);
+    } catch (error) {
+      throw invalidMessage(`Invalid attachment token: ${error.message}`);
+    }
+    if (String(claims.sub) !== String(fromUserId)) {
+      throw invalidMessage('Attachment was uploaded by another user');
+    }
+    return claims.attachment;
+  }
+
+  /**
+   * Store a message and deliver it. A repeated client_message_id from the same sender
+   * returns the stored message instead of a new one (replayed: true). The side effects
+   * run again on a replay, because the first attempt may have failed after the insert;
+   * they are safe to repeat (clients de-duplicate pushes by message id).
+   * With an attachment_token (from the gateway's upload) the message carries the attachment,
+   * and `content` is an optional caption. Sends the recipient's privacy settings or blocks
+   * refuse throw with status 403 (404 for an unknown recipient).
+   * @returns {Object} { message, replayed }
+   */
+  async function createMessage({ from_user_id, to_user_id, content, client_message_id = null, attachment_token = null }) {
+    assertOwnsSender(from_user_id);
+
+    if (client_message_id !== null &&
+        (typeof client_message_id !== 'string' || !client_message_id || client_message_id.length > MAX_CLIENT_MESSAGE_ID_LENGTH)) {
+      throw invalidMessage(`client_message_id must be a string of 1-${MAX_CLIENT_MESSAGE_ID_LENGTH} characters`);
+    }
+
+    const attachment = attachment_token ? attachmentFrom(attachment_token, from_user_id) : null;
+    if (!attachment && !content) {
+      throw invalidMessage('Message needs content or an attachment');
+    }
+
+    // The recipient must exist and accept messages from this sender
+    await privacy.assertCanMessage(from_user_id, to_user_id);
+
+    const inserted = await pool.query(
+      `INSERT INTO messages (id, from_user_id, to_user_id, content, created_at, shard_id, client_message_id, message_type, attachment)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (from_user_id, client_message_id) WHERE client_message_id IS NOT NULL DO NOTHING
+       RETURNING *`,
+      [uuidv4(), from_user_id, to_user_id, content || '', new Date(), SHARD_ID, client_message_id,
+        attachment ? attachment.type : 'text', attachment]
+    );
+
+    let message = inserted.rows[0];
+    const replayed = !message;
+    if (replayed) {
+      const existing = await pool.query(
+        'SELECT * FROM messages WHERE from_user_id = $1 AND client_message_id = $2',
+        [String(from_user_id), client_message_id]
       );
+      message = existing.rows[0];
+      log.info(`Replayed message ${message.id} for client_message_id ${client_message_id}`);
+    }
 
-      const users = result.rows.map(row => ({
-        id: row.id,
-        name: row.name
-      }));
-      console.log(`[SHARD-${SHARD_ID}] Retrieved ${users.length} users`);
-      res.json({ users, shard_id: SHARD_ID });
-    } catch (error) {
-      console.error(`[SHARD-${SHARD_ID}] Error fetching users:`, error.message);
-      res.status(500).json({ error: 'Failed to fetch users', details: error.message });
+    // Dual-write to the target shard if this sender is being migrated
+    await resharding.forwardWrite({
+      id: message.id,
+      from_user_id: message.from_user_id,
+      to_user_id: message.to_user_id,
+      content: message.content,
+      created_at: message.created_at,
+      shard_id: SHARD_ID,
+      client_message_id: message.client_message_id,
+      message_type: message.message_type,
+      attachment: message.attachment
+    });
+
+    // Add to the conversation's cached window and drop both users' cached pages
+    await cache.messageStored(message);
+    // A replay was already counted in both inboxes
+    if (!replayed) {
+      await inbox.messageStored(message);
     }
-  });
+
+    // Queue for the recipient - pushed now if connected, replayed on register otherwise
+    await offlineQueue.deliver(message.to_user_id, {
+      type: 'message',
+      id: message.id,
+      from_user_id: message.from_user_id,
+      to_user_id: message.to_user_id,
+      content: message.content,
+      message_type: message.message_type,
+      attachment: message.attachment,
+      status: 'sent',
+      created_at: message.created_at
+    });
+
+    return { message, replayed };
+  }
 
   // ==================== MESSAGE ROUTES ====================
 
   /**
    * POST /api/messages
-   * Send a new message
+   * Send a new message - Body: { from_user_id, to_user_id, content, client_message_id?, attachment_token? }
    */
   app.post('/api/messages', async (req, res) => {
     try {
-      const { from_user_id, to_user_id, content } = req.body;
-      const messageId = uuidv4();
-      const timestamp = new Date();
-
-      // Save to PostgreSQL
-      await pool.query(
-        `INSERT INTO messages (id, from_user_id, to_user_id, content, created_at, shard_id) 
-         VALUES ($1, $2, $3, $4, $5, $6)`,
-        [messageId, from_user_id, to_user_id, content, timestamp, SHARD_ID]
-      );
-
-      // Invalidate conversation cache so fresh data is loaded
-      await redisClient.del(`conv:${from_user_id}:${to_user_id}`);
-      await redisClient.del(`conv:${to_user_id}:${from_user_id}`);
-      await redisClient.del(`user:messages:${from_user_id}`);
-      await redisClient.del(`user:messages:${to_user_id}`);
-
-      console.log(`[SHARD-${SHARD_ID}] Message created: ${messageId}`);
+      const { from_user_id, to_user_id, content, client_message_id, attachment_token } = req.body;
+      const { message, replayed } = await createMessage({ from_user_id, to_user_id, content, client_message_id, attachment_token });
 
-      // Notify recipient if connected via WebSocket
-      if (connectedClients.has(to_user_id)) {
-        const ws = connectedClients.get(to_user_id);
-        ws.send(JSON.stringify({
-          type: 'message',
-          messageId,
-          from_user_id,
-          to_user_id,
-          content,
-          created_at: timestamp
-        }));
+      if (!replayed) {
+        log.info(`Message created: ${message.id}`);
       }
 
       res.json({
-        id: messageId,
-        from_user_id,
-        to_user_id,
-        content,
-        created_at: timestamp,
+        ...message,
+        replayed,
         shard_id: SHARD_ID
       });
     } catch (error) {
-      console.error(`[SHARD-${SHARD_ID}] Error creating message:`, error.message);
+      // Invalid (400), sender owned by another shard or refused by the recipient's privacy settings or a block (403/404)
+      if (error.status) {
+        return res.status(error.status).json({ error: error.message });
+      }
+      log.error('Error creating message', { error: error.message });
       res.status(500).json({ error: 'Failed to create message', details: error.message });
     }
   });
 
   /**
    * GET /api/messages/:userId
-   * Get all messages for a specific user
+   * Get messages for a specific user, newest first.
+   * Paged with ?limit= and an opaque ?before= (older) or ?after= (newer) cursor.
+   * The gateway asks every shard, since a user receives messages on their senders' shards.
+   * Only the user's own shard serves what they sent - elsewhere those are stale copies
+   * left by a migration.
    */
   app.get('/api/messages/:userId', async (req, res) => {
+    let page;
     try {
-      const { userId } = req.params;
-      const limit = req.query.limit || 50;
+      page = parsePageParams(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid pagination parameters', details: error.message });
+    }
 
-      const cacheKey = `user:messages:${userId}`;
-      let messages = await redisClient.get(cacheKey);
+    try {
+      const { userId } = req.params;
+      const owned = ownsUser(userId);
 
-      if (!messages) {
-        const result = await pool.query(
+      const loadPage = async () => {
+        const params = [userId];
+        const cursor = cursorClause(page, params);
+        const rows = await pool.query(
           `SELECT * FROM messages 
-           WHERE from_user_id = $1 OR to_user_id = $1 
-           ORDER BY created_at DESC 
-           LIMIT $2`,
-          [userId, limit]
+           WHERE ${owned ? '(from_user_id = $1 OR to_user_id = $1)' : 'to_user_id = $1'}
+             AND ${cursor.where}
+           ORDER BY ${cursor.orderBy}
+           LIMIT ${cursor.limit}`,
+          params
         );
-        
-        messages = result.rows;
-        
-        // Cache the result
-        await redisClient.setEx(cacheKey, 300, JSON.stringify(messages)); // 5 min TTL
-      } else {
-        messages = JSON.parse(messages);
-      }
+        return buildPage(rows.rows, page, 'desc');
+      };
 
-      console.log(`[SHARD-${SHARD_ID}] Retrieved ${messages.length} messages for user ${userId}`);
-      res.json({ messages, user_id: userId, shard_id: SHARD_ID });
+      // Only the default first page is cached - cursor pages are read straight from PostgreSQL
+      const cacheable = owned && !page.before && !page.after && page.limit === DEFAULT_PAGE_SIZE;
+      const result = cacheable ? await cache.userMessagesPage(userId, loadPage) : await loadPage();
+
+      log.info(`Retrieved ${result.messages.length} messages for user ${userId}`);
+      res.json({ ...result, user_id: userId, shard_id: SHARD_ID });
     } catch (error) {
-      console.error(`[SHARD-${SHARD_ID}] Error fetching messages:`, error.message);
+      log.error('Error fetching messages', { error: error.message });
       res.status(500).json({ error: 'Failed to fetch messages', details: error.message });
     }
   });
 
   /**
    * GET /api/conversations/:userId/:otherUserId
-   * Get conversation between two specific users
+   * Get conversation between two specific users in chronological order.
+   * Returns the latest page by default; ?before= loads older history, ?after= newer.
+   * Served only by a shard that owns one of the two users - the others hold none of it.
    */
   app.get('/api/conversations/:userId/:otherUserId', async (req, res) => {
+    let page;
     try {
-      const { userId, otherUserId } = req.params;
-      const limit = req.query.limit || 100;
+      page = parsePageParams(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: 'Invalid pagination parameters', details: error.message });
+    }
 
-      const cacheKey = `conv:${userId}:${otherUserId}`;
-      let messages = await redisClient.get(cacheKey);
+    try {
+      const { userId, otherUserId } = req.params;
+      if (!ownsUser(userId) && !ownsUser(otherUserId)) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          details: `Neither user ${userId} nor user ${otherUserId} belongs to shard ${SHARD_ID}`
+        });
+      }
 
-      if (!messages) {
-        const result = await pool.query(
+      const conversationRows = async (page) => {
+        const params = [userId, otherUserId];
+        const cursor = cursorClause(page, params);
+        const rows = await pool.query(
           `SELECT * FROM messages 
-           WHERE (from_user_id = $1 AND to_user_id = $2) 
-              OR (from_user_id = $2 AND to_user_id = $1)
-           ORDER BY created_at ASC 
-           LIMIT $3`,
-          [userId, otherUserId, limit]
+           WHERE ((from_user_id = $1 AND to_user_id = $2) 
+              OR (from_user_id = $2 AND to_user_id = $1))
+             AND ${cursor.where}
+           ORDER BY ${cursor.orderBy}
+           LIMIT ${cursor.limit}`,
+          params
         );
-        
-        messages = result.rows;
-        
-        // Cache the result
-        await redisClient.setEx(cacheKey, 300, JSON.stringify(messages)); // 5 min TTL
-      } else {
-        messages = JSON.parse(messages);
-      }
+        return rows.rows;
+      };
+
+      // Pages inside the cached window of recent messages never reach PostgreSQL
+      const result = await cache.conversationPage(userId, otherUserId, page, conversationRows);
 
-      console.log(`[SHARD-${SHARD_ID}] Retrieved conversation between ${userId} and ${otherUserId}: ${messages.length} messages`);
+      log.info(`Retrieved conversation between ${userId} and ${otherUserId}: ${result.messages.length} messages`);
       res.json({ 
-        messages, 
+        ...result,
         user_id: userId, 
         other_user_id: otherUserId,
         shard_id: SHARD_ID 
       });
     } catch (error) {
-      console.error(`[SHARD-${SHARD_ID}] Error fetching conversation:`, error.message);
+      log.error('Error fetching conversation', { error: error.message });
       res.status(500).json({ error: 'Failed to fetch conversation', details: error.message });
     }
   });
@@ -248,120 +553,196 @@ async function createShardServer(shardConfig) {
   // ==================== WEBSOCKET HANDLERS ====================
 
   wss.on('connection', (ws, req) => {
-    console.log(`[SHARD-${SHARD_ID}] New WebSocket connection`);
+    log.info('New WebSocket connection');
 
-    ws.on('message', async (data) => {
+    ws.on('message', (data) => {
+      let message;
       try {
-        const message = JSON.parse(data);
-        console.log(`[SHARD-${SHARD_ID}] Received WebSocket message:`, message.type);
-
-        // User registration on WebSocket
-        if (message.type === 'register') {
-          const userId = message.user_id;
-          connectedClients.set(userId, ws);
-          console.log(`[SHARD-${SHARD_ID}] User ${userId} registered on WebSocket`);
-          
-          ws.send(JSON.stringify({
-            type: 'registered',
-            user_id: userId,
-            shard_id: SHARD_ID
-          }));
+        message = JSON.parse(data);
+        // `null`, numbers, strings and arrays parse too - none of them is a message
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+          throw new Error('Message must be a JSON object');
         }
-        // Send message via WebSocket
-        else if (message.type === 'send_message') {
-          const { from_user_id, to_user_id, content } = message;
-          const messageId = uuidv4();
-          const timestamp = new Date();
+      } catch (error) {
+        log.error('WebSocket parse error', { error: error.message });
+        ws.send(JSON.stringify({
+          type: 'error',
+          message: error.message
+        }));
+        return;
+      }
 
-          try {
-            // Save to database
-            await pool.query(
-              `INSERT INTO messages (id, from_user_id, to_user_id, content, created_at, shard_id) 
-               VALUES ($1, $2, $3, $4, $5, $6)`,
-              [messageId, from_user_id, to_user_id, content, timestamp, SHARD_ID]
-            );
-
-            // Invalidate conversation cache
-            await redisClient.del(`conv:${from_user_id}:${to_user_id}`);
-            await redisClient.del(`conv:${to_user_id}:${from_user_id}`);
-
-            const msgData = {
-              type: 'message',
-              id: messageId,
-              from_user_id,
-              to_user_id,
-              content,
-              created_at: timestamp
-            };
-
-            // Send to recipient if connected
-            if (connectedClients.has(to_user_id)) {
-              const recipientWs = connectedClients.get(to_user_id);
-              recipientWs.send(JSON.stringify(msgData));
+      // Log lines and events caused by this message carry the client's request ID
+      runWithRequestId(message.request_id, async () => {
+        try {
+          log.info('Received WebSocket message', { type: message.type });
+
+          // User registration on WebSocket - requires a token issued to this user
+          if (message.type === 'register') {
+            const userId = message.user_id;
+
+            let claims;
+            try {
+              claims = verifyToken(message.token);
+            } catch (error) {
+              claims = null;
+            }
+            if (!claims || String(claims.sub) !== String(userId)) {
+              log.warn(`Rejected WebSocket register for user ${userId}`);
+              ws.send(JSON.stringify({
+                type: 'error',
+                message: 'Invalid or missing token for this user'
+              }));
+              return;
             }
 
-            // Send confirmation to sender
-            ws.send(JSON.stringify({
-              type: 'message_sent',
-              id: messageId,
-              status: 'delivered'
-            }));
+            // A socket that re-registers keeps a single presence entry
+            await presence.disconnected(ws);
+
+            ws.userId = String(userId);
+            if (!connectedClients.has(ws.userId)) {
+              await bus.subscribe(ws.userId);
+            }
+            connectedClients.set(ws.userId, ws);
+            log.info(`User ${userId} registered on WebSocket`);
+
+            await presence.connected(ws);
 
-            console.log(`[SHARD-${SHARD_ID}] WebSocket message from ${from_user_id} to ${to_user_id}`);
-          } catch (error) {
-            console.error(`[SHARD-${SHARD_ID}] Error handling WebSocket message:`, error.message);
             ws.send(JSON.stringify({
-              type: 'error',
-              message: 'Failed to send message'
+              type: 'registered',
+              user_id: userId,
+              shard_id: SHARD_ID,
+              heartbeat_interval_ms: HEARTBEAT_INTERVAL_MS
             }));
+
+            // Drain anything that arrived while the user was offline, in order
+            await offlineQueue.replay(ws);
+          }
+          // Send message via WebSocket
+          else if (message.type === 'send_message') {
+            const { from_user_id, to_user_id, content } = message;
+
+            // Only an authenticated socket may send, and only as its own user
+            if (!ws.userId || ws.userId !== String(from_user_id)) {
+              ws.send(JSON.stringify({
+                type: 'error',
+                message: 'Register with a valid token before sending as this user'
+              }));
+              return;
+            }
+
+            try {
+              const { message: stored, replayed } = await createMessage({
+                from_user_id,
+                to_user_id,
+                content,
+                client_message_id: message.client_message_id,
+                attachment_token: message.attachment_token
+              });
+
+              // Confirm storage to the sender - 'delivered' only follows the recipient's ack
+              ws.send(JSON.stringify({
+                type: 'message_sent',
+                id: stored.id,
+                client_message_id: stored.client_message_id,
+                status: stored.status,
+                replayed,
+                request_id: currentRequestId()
+              }));
+
+              log.info(`WebSocket message from ${from_user_id} to ${to_user_id}`);
+            } catch (error) {
+              log.error('Error handling WebSocket message', { error: error.message });
+              ws.send(JSON.stringify({
+                type: 'error',
+                message: error.status ? error.message : 'Failed to send message'
+              }));
+            }
+          }
+          // Delivery/read receipts from the recipient
+          else if (message.type === 'delivered' || message.type === 'read') {
+            await receipts.handleAck(ws, message);
           }
+          // Remove delivered entries from the user's offline queue
+          else if (message.type === 'ack') {
+            await offlineQueue.ack(ws, message);
+          }
+          // Keeps the user online - sockets that stop sending these go offline after the TTL
+          else if (message.type === 'heartbeat') {
+            await presence.heartbeat(ws);
+          }
+          // Typing indicators for the other party in a conversation
+          else if (message.type === 'typing_start' || message.type === 'typing_stop') {
+            await presence.relayTyping(ws, message);
+          }
+        } catch (error) {
+          log.error('WebSocket message error', { error: error.message });
+          ws.send(JSON.stringify({
+            type: 'error',
+            message: error.message
+          }));
         }
+      });
+    });
+
+    ws.on('close', async () => {
+      // Stamp last-seen and drop this socket's presence entry
+      try {
+        await presence.disconnected(ws);
       } catch (error) {
-        console.error(`[SHARD-${SHARD_ID}] WebSocket parse error:`, error.message);
-        ws.send(JSON.stringify({
-          type: 'error',
-          message: error.message
-        }));
+        log.error(`Error updating presence for user ${ws.userId}`, { error: error.message });
       }
-    });
 
-    ws.on('close', () => {
       // Handle client disconnection
       for (const [userId, clientWs] of connectedClients.entries()) {
         if (clientWs === ws) {
           connectedClients.delete(userId);
-          console.log(`[SHARD-${SHARD_ID}] User ${userId} disconnected from WebSocket`);
+          log.info(`User ${userId} disconnected from WebSocket`);
+          try {
+            await bus.unsubscribe(userId);
+          } catch (error) {
+            log.error(`Error unsubscribing user ${userId}`, { error: error.message });
+          }
           break;
         }
       }
     });
 
     ws.on('error', (error) => {
-      console.error(`[SHARD-${SHARD_ID}] WebSocket connection error:`, error.message);
+      log.error('WebSocket connection error', { error: error.message });
     });
   });
 
   // ==================== GRACEFUL SHUTDOWN ====================
 
   process.on('SIGTERM', async () => {
-    console.log(`[SHARD-${SHARD_ID}] SIGTERM received, shutting down gracefully...`);
+    log.info('SIGTERM received, shutting down gracefully...');
     
     try {
       await redisClient.quit();
-      console.log(`[SHARD-${SHARD_ID}] Redis connection closed`);
+      log.info('Redis connection closed');
+    } catch (error) {
+      log.error('Error closing Redis', { error: error.message });
+    }
+
+    try {
+      await presence.quit();
+      await privacy.quit();
+      await bus.quit();
+      log.info('Message bus connection closed');
     } catch (error) {
-      console.error(`[SHARD-${SHARD_ID}] Error closing Redis:`, error.message);
+      log.error('Error closing message bus', { error: error.message });
     }
 
     try {
       await pool.end();
-      console.log(`[SHARD-${SHARD_ID}] PostgreSQL connection closed`);
+      log.info('PostgreSQL connection closed');
     } catch (error) {
-      console.error(`[SHARD-${SHARD_ID}] Error closing PostgreSQL:`, error.message);
+      log.error('Error closing PostgreSQL', { error: error.message });
     }
     
     server.close(() => {
-      console.log(`[SHARD-${SHARD_ID}] Server closed`);
+      log.info('Server closed');
       process.exit(0);
     });
   });
@@ -369,8 +750,8 @@ async function createShardServer(shardConfig) {
   // ==================== START SERVER ====================
 
   server.listen(PORT, () => {
-    console.log(`[SHARD-${SHARD_ID}] Server listening on port ${PORT}`);
-    console.log(`[SHARD-${SHARD_ID}] WebSocket endpoint: ws://0.0.0.0:${PORT}/ws`);
+    log.info(`Server listening on port ${PORT}`);
+    log.info(`WebSocket endpoint: ws://0.0.0.0:${PORT}/ws`);
   });
 
   return server;
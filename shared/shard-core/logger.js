@@ -0,0 +1,104 @@
+/**
+ * Structured Logger & Request IDs
+ * One JSON object per line with time, level, service bindings (service, shard,
+ * component) and the current request ID. The request ID is accepted from (or
+ * generated for) the `X-Request-ID` header at the gateway, forwarded on every
+ * shard call and WebSocket message, and kept in AsyncLocalStorage so log lines
+ * deep inside a request carry it without threading it through every function.
+ * Shared by the shards and the gateway, like hashRing.js.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const REQUEST_ID_HEADER = 'x-request-id';
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+const requestContext = new AsyncLocalStorage();
+
+// Accept a caller's ID if it looks sane, otherwise make a new one
+function acceptRequestId(value) {
+  return typeof value === 'string' && /^[\w.:-]{1,128}$/.test(value) ? value : crypto.randomUUID();
+}
+
+function currentRequestId() {
+  return requestContext.getStore()?.requestId;
+}
+
+function runWithRequestId(requestId, fn) {
+  return requestContext.run({ requestId: acceptRequestId(requestId) }, fn);
+}
+
+// Headers for an outgoing HTTP call made on behalf of the current request
+function requestIdHeaders() {
+  const requestId = currentRequestId();
+  return requestId ? { [REQUEST_ID_HEADER]: requestId } : {};
+}
+
+// Tag a WebSocket event with the request that caused it
+function withRequestId(payload) {
+  const requestId = currentRequestId();
+  return requestId && !payload.request_id ? { ...payload, request_id: requestId } : payload;
+}
+
+function createLogger(bindings = {}) {
+  function write(level, msg, fields = {}) {
+    if (LEVELS[level] < MIN_LEVEL) return;
+
+    const entry = { time: new Date().toISOString(), level, ...bindings };
+    const requestId = currentRequestId();
+    if (requestId) {
+      entry.request_id = requestId;
+    }
+    entry.msg = msg;
+    Object.assign(entry, fields instanceof Error ? { error: fields.message } : fields);
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    debug: (msg, fields) => write('debug', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    error: (msg, fields) => write('error', msg, fields),
+    child: (more) => createLogger({ ...bindings, ...more })
+  };
+}
+
+/**
+ * Express middleware - sets up the request ID (echoed back in the response header)
+ * and logs each request once it finishes
+ */
+function requestLogging(log) {
+  return (req, res, next) => {
+    const requestId = acceptRequestId(req.get(REQUEST_ID_HEADER));
+    const started = process.hrtime.bigint();
+    req.id = requestId;
+    res.set(REQUEST_ID_HEADER, requestId);
+
+    requestContext.run({ requestId }, () => {
+      res.on('finish', () => {
+        // 'finish' can fire outside the request's async context, so pass the ID explicitly
+        log.info(`${req.method} ${req.originalUrl}`, {
+          request_id: requestId,
+          status: res.statusCode,
+          duration_ms: Number((process.hrtime.bigint() - started) / 1000n) / 1000
+        });
+      });
+      next();
+    });
+  };
+}
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  createLogger,
+  requestLogging,
+  runWithRequestId,
+  currentRequestId,
+  requestIdHeaders,
+  withRequestId,
+  acceptRequestId
+};
@@ -0,0 +1,110 @@
+/**
+ * Cross-Shard Message Bus
+ * Redis pub/sub shared by every shard. Each shard subscribes to `user:<userId>` for the
+ * sockets registered with it, so an event published by any shard reaches whichever shard
+ * holds the recipient's socket - clients only need one connection.
+ *
+ * Events are { kind: 'push' | 'queue', payload }:
+ *   push  - real-time only (e.g. receipts), sent straight to the socket
+ *   queue - goes through the receiving shard's offline queue so it can be acked/replayed
+ */
+
+const redis = require('redis');
+const { createLogger, runWithRequestId, withRequestId } = require('./logger');
+
+function channelFor(userId) {
+  return `user:${userId}`;
+}
+
+function createMessageBus(busUrl, shardId, connectedClients) {
+  const log = createLogger({ service: 'shard', shard: String(shardId), component: 'bus' });
+  const publisher = redis.createClient({ url: busUrl });
+  const subscriber = publisher.duplicate();
+  let queueHandler = null;
+
+  publisher.on('error', (err) => log.error('Message bus error', { error: err.message }));
+  subscriber.on('error', (err) => log.error('Message bus subscriber error', { error: err.message }));
+
+  async function connect() {
+    await publisher.connect();
+    await subscriber.connect();
+    log.info('Connected to message bus');
+  }
+
+  /**
+   * Queued events are handed to the offline queue, which owns acks and replay
+   */
+  function setQueueHandler(handler) {
+    queueHandler = handler;
+  }
+
+  async function handleEvent(userId, raw) {
+    try {
+      const { kind, payload } = JSON.parse(raw);
+
+      const deliver = async () => {
+        if (kind === 'queue' && queueHandler) {
+          await queueHandler(userId, payload);
+        } else {
+          const ws = connectedClients.get(userId);
+          if (ws) {
+            ws.send(JSON.stringify(payload));
+          }
+        }
+      };
+      // Keep the publishing shard's request ID on anything logged while handling the event
+      await (payload.request_id ? runWithRequestId(payload.request_id, deliver) : deliver());
+    } catch (error) {
+      log.error(`Error handling bus event for user ${userId}`, { error: error.message });
+    }
+  }
+
+  /**
+   * Start receiving events for a user whose socket just registered here
+   */
+  async function subscribe(userId) {
+    await subscriber.subscribe(channelFor(userId), raw => handleEvent(String(userId), raw));
+  }
+
+  async function unsubscribe(userId) {
+    await subscriber.unsubscribe(channelFor(userId));
+  }
+
+  /**
+   * Publish an event for a user
+   * @returns {number} how many shards received it (0 = user not connected anywhere)
+   */
+  function publish(userId, event) {
+    return publisher.publish(channelFor(userId), JSON.stringify(event));
+  }
+
+  /**
+   * Publish on a named channel that isn't a user's (e.g. the cache event feed)
+   * @returns {number} how many subscribers received it
+   */
+  function broadcast(channel, event) {
+    return publisher.publish(channel, JSON.stringify(event));
+  }
+
+  /**
+   * Real-time push with no queueing: local socket first, otherwise whichever shard holds it
+   */
+  async function push(userId, payload) {
+    payload = withRequestId(payload);
+    const ws = connectedClients.get(String(userId));
+    if (ws) {
+      ws.send(JSON.stringify(payload));
+      return true;
+    }
+    return (await publish(userId, { kind: 'push', payload })) > 0;
+  }
+
+  async function quit() {
+    await subscriber.quit();
+    await publisher.quit();
+  }
+
+  return { connect, setQueueHandler, subscribe, unsubscribe, publish, broadcast, push, quit };
+}
+
+module.exports = { createMessageBus };
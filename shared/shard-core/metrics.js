@@ -0,0 +1,65 @@
+/**
+ * Prometheus Metrics
+ * One registry per process with default labels (service, and shard on shards), the
+ * standard Node.js process metrics, and per-route HTTP request counts and latencies.
+ * Shared by the shards and the gateway, like hashRing.js; each adds its own metrics
+ * through the counter/gauge/histogram helpers and serves them on GET /metrics.
+ */
+
+const client = require('prom-client');
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+function createMetrics(defaultLabels) {
+  const register = new client.Registry();
+  register.setDefaultLabels(defaultLabels);
+  client.collectDefaultMetrics({ register });
+
+  const counter = (name, help, labelNames = []) =>
+    new client.Counter({ name, help, labelNames, registers: [register] });
+
+  // `collect` runs on every scrape, for values that are read rather than counted
+  const gauge = (name, help, labelNames = [], collect) =>
+    new client.Gauge({ name, help, labelNames, registers: [register], ...(collect && { collect }) });
+
+  const histogram = (name, help, labelNames = [], buckets = LATENCY_BUCKETS) =>
+    new client.Histogram({ name, help, labelNames, buckets, registers: [register] });
+
+  const httpRequests = counter('http_requests_total', 'HTTP requests handled', ['method', 'route', 'status']);
+  const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency', ['method', 'route', 'status']);
+
+  /**
+   * Express middleware - labels by route pattern (not raw path) so ids don't explode cardinality
+   */
+  function middleware(req, res, next) {
+    const endTimer = httpDuration.startTimer();
+    res.on('finish', () => {
+      const labels = {
+        method: req.method,
+        route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+        status: res.statusCode
+      };
+      httpRequests.inc(labels);
+      endTimer(labels);
+    });
+    next();
+  }
+
+  /**
+   * GET /metrics in the Prometheus text format
+   */
+  function expose(app) {
+    app.get('/metrics', async (req, res) => {
+      try {
+        res.set('Content-Type', register.contentType);
+        res.end(await register.metrics());
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to collect metrics', details: error.message });
+      }
+    });
+  }
+
+  return { register, counter, gauge, histogram, middleware, expose };
+}
+
+module.exports = { createMetrics };
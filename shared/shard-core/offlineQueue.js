@@ -0,0 +1,247 @@
+/**
+ * Offline Message Queue
+ * Every push for a user is appended to a Redis stream (`queue:<userId>`) on the shard that
+ * holds their socket, then pushed. Entries stay queued until the client acks them, and are
+ * replayed in order on `register` - at-least-once delivery.
+ * Users connected to another shard are reached over the message bus; users not connected
+ * anywhere are handed to the gateway, which routes them to the recipient's home shard.
+ * Failed hand-offs are parked in a Redis list and retried.
+ */
+
+const { WatchError } = require('redis');
+const { signServiceToken } = require('./auth');
+const { createLogger, requestIdHeaders, withRequestId } = require('./logger');
+
+const QUEUE_MAX_LENGTH = 1000; // Postgres keeps the full history - the queue only needs recent pushes
+const REPLAY_PAGE_SIZE = 100;
+const HANDOFF_KEY = 'queue:handoff';
+const HANDOFF_RETRY_MS = 5000;
+
+function queueKey(userId) {
+  return `queue:${userId}`;
+}
+
+// Stream IDs are `<ms>-<seq>` - order them numerically
+function compareQueueIds(a, b) {
+  const [aMs, aSeq] = a.split('-').map(Number);
+  const [bMs, bSeq] = b.split('-').map(Number);
+  return aMs - bMs || aSeq - bSeq;
+}
+
+/**
+ * Everything still queued for a user, oldest first - used to move a queue between shards
+ * @returns {Array} [{ queue_id, payload }]
+ */
+async function readQueue(redisClient, userId) {
+  const entries = await redisClient.xRange(queueKey(userId), '-', '+');
+  return entries.map(entry => ({ queue_id: entry.id, payload: entry.message.payload }));
+}
+
+/**
+ * Merge entries moved from another shard into a user's queue, keeping their IDs so replay
+ * order and pending acks survive the move. The stream is rewritten in ID order; a push that
+ * lands meanwhile aborts the rewrite (WATCH) and it is retried.
+ */
+async function mergeQueue(redisClient, userId, entries) {
+  if (entries.length === 0) {
+    return;
+  }
+  const key = queueKey(userId);
+
+  await redisClient.executeIsolated(async isolated => {
+    for (let attempt = 1; ; attempt++) {
+      await isolated.watch(key);
+      const merged = new Map(entries.map(entry => [entry.queue_id, entry.payload]));
+      (await isolated.xRange(key, '-', '+')).forEach(entry => merged.set(entry.id, entry.message.payload));
+
+      const write = isolated.multi().del(key);
+      [...merged.keys()]
+        .sort(compareQueueIds)
+        .slice(-QUEUE_MAX_LENGTH)
+        .forEach(id => write.xAdd(key, id, { payload: merged.get(id) }));
+
+      try {
+        await write.exec();
+        return;
+      } catch (error) {
+        if (!(error instanceof WatchError) || attempt >= 5) {
+          throw error;
+        }
+      }
+    }
+  });
+}
+
+function createOfflineQueue(app, redisClient, shardId, connectedClients, bus, gatewayUrl) {
+  const log = createLogger({ service: 'shard', shard: String(shardId), component: 'queue' });
+
+  /**
+   * Queue a payload for a user and push it if they are connected here
+   * @returns {Object} { queue_id, pushed }
+   */
+  async function enqueue(userId, payload) {
+    payload = withRequestId(payload);
+    const queueId = await redisClient.xAdd(
+      queueKey(userId),
+      '*',
+      { payload: JSON.stringify(payload) },
+      { TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: QUEUE_MAX_LENGTH } }
+    );
+
+    const ws = connectedClients.get(String(userId));
+    if (ws) {
+      ws.send(JSON.stringify({ ...payload, queue_id: queueId }));
+    }
+
+    return { queue_id: queueId, pushed: Boolean(ws) };
+  }
+
+  async function handOff(userId, payload) {
+    const response = await fetch(`${gatewayUrl}/api/internal/deliver`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${signServiceToken(`shard-${shardId}`)}`,
+        ...requestIdHeaders()
+      },
+      body: JSON.stringify({ user_id: String(userId), payload })
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  }
+
+  // Queued events published on the bus by other shards land in this shard's queue
+  bus.setQueueHandler(enqueue);
+
+  /**
+   * Deliver a payload to a user: queue it here if they are connected here, on the shard
+   * holding their socket if they are connected elsewhere, otherwise on their home shard.
+   * Pass isHome when this shard is the user's home shard so offline users queue locally.
+   * @returns {Object} { pushed }
+   */
+  async function deliver(userId, payload, { isHome = false } = {}) {
+    payload = withRequestId(payload);
+    if (connectedClients.has(String(userId))) {
+      return enqueue(userId, payload);
+    }
+
+    const receivers = await bus.publish(userId, { kind: 'queue', payload });
+    if (receivers > 0) {
+      return { pushed: true };
+    }
+    if (isHome) {
+      return enqueue(userId, payload);
+    }
+
+    try {
+      await handOff(userId, payload);
+    } catch (error) {
+      log.error(`Hand-off for user ${userId} failed, will retry`, { error: error.message });
+      await redisClient.rPush(HANDOFF_KEY, JSON.stringify({ user_id: String(userId), payload }));
+    }
+    return { pushed: false };
+  }
+
+  // Retry parked hand-offs in order; stop at the first failure and try again later
+  setInterval(async () => {
+    try {
+      let entry;
+      while ((entry = await redisClient.lIndex(HANDOFF_KEY, 0))) {
+        const { user_id, payload } = JSON.parse(entry);
+        await handOff(user_id, payload);
+        await redisClient.lPop(HANDOFF_KEY);
+      }
+    } catch (error) {
+      log.error('Hand-off retry failed', { error: error.message });
+    }
+  }, HANDOFF_RETRY_MS);
+
+  /**
+   * Send everything still queued for a freshly registered socket, oldest first
+   * @returns {number} number of entries replayed
+   */
+  async function replay(ws) {
+    let start = '-';
+    let replayed = 0;
+
+    for (;;) {
+      const entries = await redisClient.xRange(queueKey(ws.userId), start, '+', { COUNT: REPLAY_PAGE_SIZE });
+      for (const entry of entries) {
+        ws.send(JSON.stringify({ ...JSON.parse(entry.message.payload), queue_id: entry.id, replayed: true }));
+      }
+      replayed += entries.length;
+
+      if (entries.length < REPLAY_PAGE_SIZE) {
+        break;
+      }
+      start = `(${entries[entries.length - 1].id}`;
+    }
+
+    if (replayed) {
+      log.info(`Replayed ${replayed} queued message(s) to user ${ws.userId}`);
+    }
+    return replayed;
+  }
+
+  /**
+   * Handle an `ack` from a registered socket: { type: 'ack', queue_ids }
+   */
+  async function ack(ws, message) {
+    const { queue_ids = [] } = message;
+
+    if (!ws.userId) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Register before acknowledging messages' }));
+      return;
+    }
+    if (queue_ids.length) {
+      await redisClient.xDel(queueKey(ws.userId), queue_ids);
+    }
+  }
+
+  /**
+   * POST /api/queue/deliver
+   * Queue a payload for an offline user homed on this shard - called by the gateway
+   */
+  app.post('/api/queue/deliver', async (req, res) => {
+    try {
+      const { user_id, payload } = req.body;
+      if (!user_id || !payload) {
+        return res.status(400).json({ error: 'Missing required fields' });
+      }
+
+      const result = await enqueue(user_id, payload);
+      res.json({ ...result, user_id: String(user_id), shard_id: shardId });
+    } catch (error) {
+      log.error('Error queueing message', { error: error.message });
+      res.status(500).json({ error: 'Failed to queue message', details: error.message });
+    }
+  });
+
+  /**
+   * GET /api/queue/:userId
+   * Queue depth and oldest unacknowledged entry for a user
+   */
+  app.get('/api/queue/:userId', async (req, res) => {
+    try {
+      const key = queueKey(req.params.userId);
+      const depth = await redisClient.xLen(key);
+      const [oldest] = await redisClient.xRange(key, '-', '+', { COUNT: 1 });
+
+      res.json({
+        user_id: req.params.userId,
+        depth,
+        oldest: oldest ? { queue_id: oldest.id, queued_at: new Date(parseInt(oldest.id)).toISOString() } : null,
+        pending_handoffs: await redisClient.lLen(HANDOFF_KEY),
+        shard_id: shardId
+      });
+    } catch (error) {
+      log.error('Error reading queue', { error: error.message });
+      res.status(500).json({ error: 'Failed to read queue', details: error.message });
+    }
+  });
+
+  return { enqueue, deliver, replay, ack };
+}
+
+module.exports = { createOfflineQueue, queueKey, readQueue, mergeQueue };
@@ -0,0 +1,158 @@
+/**
+ * Cursor Pagination
+ * Messages are ordered by (created_at, id). A cursor is an opaque, URL-safe encoding of
+ * one message's position, so the same cursor means the same place on every shard - the
+ * gateway can send one cursor to several shards and k-way merge their pages.
+ * Shared by the shards (page queries) and the gateway (merging), like hashRing.js.
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Encode a message's position - timestamps are compared at millisecond precision everywhere
+ */
+function encodeCursor(message) {
+  const position = { t: new Date(message.created_at).toISOString(), id: message.id };
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!t || !id || isNaN(Date.parse(t))) {
+      throw new Error('bad position');
+    }
+    return { t, id };
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+}
+
+/**
+ * Read ?limit=&before=&after= - throws on a bad cursor or on both cursors at once
+ * @returns {Object} { limit, before, after, direction } - direction is 'before' (older) or 'after' (newer)
+ */
+function parsePageParams(query, defaultLimit = DEFAULT_PAGE_SIZE) {
+  const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), MAX_PAGE_SIZE);
+
+  if (query.before && query.after) {
+    throw new Error('Use either before or after, not both');
+  }
+
+  return {
+    limit,
+    before: query.before ? decodeCursor(query.before) : null,
+    after: query.after ? decodeCursor(query.after) : null,
+    direction: query.after ? 'after' : 'before'
+  };
+}
+
+/**
+ * Ascending (created_at, id) order, matching the SQL ORDER BY
+ */
+function compareMessages(a, b) {
+  const diff = new Date(a.created_at) - new Date(b.created_at);
+  if (diff !== 0) {
+    return diff;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * SQL fragments for a page query on the messages table.
+ * `params` is the query's existing parameter list; cursor values are appended to it.
+ */
+function cursorClause(page, params) {
+  const position = page.before || page.after;
+  const orderKey = `(date_trunc('milliseconds', created_at), id)`;
+
+  let where = 'TRUE';
+  if (position) {
+    params.push(position.t, position.id);
+    const op = page.before ? '<' : '>';
+    where = `${orderKey} ${op} ($${params.length - 1}::timestamptz, $${params.length}::uuid)`;
+  }
+
+  // Walk away from the cursor: newest-first for `before`, oldest-first for `after`
+  const dir = page.direction === 'after' ? 'ASC' : 'DESC';
+  params.push(page.limit + 1);
+
+  return {
+    where,
+    orderBy: `date_trunc('milliseconds', created_at) ${dir}, id ${dir}`,
+    limit: `$${params.length}`
+  };
+}
+
+/**
+ * Turn limit + 1 rows fetched by a page query into a page in the caller's order
+ * @param {string} order - 'asc' (chronological) or 'desc' (newest first)
+ */
+function buildPage(rows, page, order) {
+  const hasMore = rows.length > page.limit;
+  const messages = rows.slice(0, page.limit).sort(compareMessages);
+  return pageResponse(messages, hasMore, order);
+}
+
+function pageResponse(ascending, hasMore, order) {
+  const oldest = ascending[0];
+  const newest = ascending[ascending.length - 1];
+
+  return {
+    messages: order === 'desc' ? ascending.slice().reverse() : ascending,
+    has_more: hasMore,
+    cursors: {
+      before: oldest ? encodeCursor(oldest) : null,
+      after: newest ? encodeCursor(newest) : null
+    }
+  };
+}
+
+/**
+ * k-way merge of shard pages fetched with the same cursor. Keeps the `limit` messages
+ * closest to the cursor, drops duplicates (by id), and reports whether more remain.
+ */
+function mergePages(pages, page, order) {
+  const forward = page.direction === 'after';
+  const compare = forward ? compareMessages : (a, b) => compareMessages(b, a);
+
+  const lists = pages.map(p => (p.messages || []).slice().sort(compare));
+  const heads = lists.map(() => 0);
+  const merged = [];
+  const seen = new Set();
+
+  while (merged.length < page.limit) {
+    let best = -1;
+    lists.forEach((list, i) => {
+      if (heads[i] < list.length && (best === -1 || compare(list[heads[i]], lists[best][heads[best]]) < 0)) {
+        best = i;
+      }
+    });
+    if (best === -1) {
+      break;
+    }
+
+    const message = lists[best][heads[best]++];
+    if (!seen.has(message.id)) {
+      seen.add(message.id);
+      merged.push(message);
+    }
+  }
+
+  const leftOver = lists.some((list, i) => list.slice(heads[i]).some(m => !seen.has(m.id)));
+  const hasMore = leftOver || pages.some(p => p.has_more);
+
+  return pageResponse(merged.sort(compareMessages), hasMore, order);
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parsePageParams,
+  compareMessages,
+  cursorClause,
+  buildPage,
+  mergePages
+};
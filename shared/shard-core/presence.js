@@ -0,0 +1,175 @@
+/**
+ * Presence & Typing Indicators
+ * Who is online lives in the shared bus Redis, so every shard and the gateway give the
+ * same answer. Each registered socket is an entry in `presence:<userId>` (connection id →
+ * expiry) that the client's heartbeats keep alive; a user is online while any entry is
+ * unexpired, so a shard that dies without closing its sockets only leaves entries that
+ * time out. `last_seen:<userId>` is stamped on register, heartbeat and close.
+ * Expiries use Redis time, like the rate limiter, so shard and gateway clocks don't matter.
+ *
+ * Typing events are real-time only: relayed over the message bus to whichever shard holds
+ * the other party's socket, never queued. They are refused whenever a message would be
+ * (blocks, privacy settings).
+ * Shared by the shards and the gateway (which reads presence for GET /api/presence).
+ */
+
+const crypto = require('crypto');
+const redis = require('redis');
+const { createLogger } = require('./logger');
+
+const HEARTBEAT_INTERVAL_MS = 20000; // how often clients are expected to send `heartbeat`
+const PRESENCE_TTL_MS = 3 * HEARTBEAT_INTERVAL_MS; // offline after three missed heartbeats
+
+// KEYS presence, last_seen; ARGV connection id, ttl ms - adds or refreshes the connection, drops expired ones
+const TOUCH_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local entries = redis.call('HGETALL', KEYS[1])
+for i = 1, #entries, 2 do
+  if tonumber(entries[i + 1]) <= now then redis.call('HDEL', KEYS[1], entries[i]) end
+end
+redis.call('HSET', KEYS[1], ARGV[1], now + tonumber(ARGV[2]))
+redis.call('PEXPIRE', KEYS[1], ARGV[2])
+redis.call('SET', KEYS[2], now)
+return 1
+`;
+
+// KEYS presence, last_seen; ARGV connection id
+const LEAVE_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+redis.call('HDEL', KEYS[1], ARGV[1])
+redis.call('SET', KEYS[2], now)
+return 1
+`;
+
+// KEYS presence/last_seen pairs -> online (1/0) and last seen ms (or nil) per user
+const LOOKUP_SCRIPT = `
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local result = {}
+for i = 1, #KEYS, 2 do
+  local online = 0
+  for _, expiry in ipairs(redis.call('HVALS', KEYS[i])) do
+    if tonumber(expiry) > now then online = 1 end
+  end
+  table.insert(result, online)
+  table.insert(result, redis.call('GET', KEYS[i + 1]))
+end
+return result
+`;
+
+function presenceKey(userId) {
+  return `presence:${userId}`;
+}
+
+function lastSeenKey(userId) {
+  return `last_seen:${userId}`;
+}
+
+/**
+ * Presence of a batch of users, in the order asked
+ * @param {Object} client - connected Redis client on the bus
+ * @returns {Array} [{ user_id, status: 'online' | 'offline', last_seen }]
+ */
+async function lookupPresence(client, userIds) {
+  if (userIds.length === 0) {
+    return [];
+  }
+
+  const keys = userIds.flatMap(userId => [presenceKey(userId), lastSeenKey(userId)]);
+  const result = await client.eval(LOOKUP_SCRIPT, { keys });
+
+  return userIds.map((userId, i) => {
+    const lastSeen = result[i * 2 + 1];
+    return {
+      user_id: String(userId),
+      status: result[i * 2] ? 'online' : 'offline',
+      last_seen: lastSeen ? new Date(Number(lastSeen)).toISOString() : null
+    };
+  });
+}
+
+function createPresence(busUrl, shardId, bus, privacy) {
+  const log = createLogger({ service: 'shard', shard: String(shardId), component: 'presence' });
+  const client = redis.createClient({ url: busUrl });
+
+  client.on('error', (err) => log.error('Presence Redis error', { error: err.message }));
+
+  async function connect() {
+    await client.connect();
+    log.info('Connected to presence store');
+  }
+
+  function touch(ws) {
+    return client.eval(TOUCH_SCRIPT, {
+      keys: [presenceKey(ws.userId), lastSeenKey(ws.userId)],
+      arguments: [ws.connectionId, String(PRESENCE_TTL_MS)]
+    });
+  }
+
+  /**
+   * A socket just registered - tags it with a connection id so its own entry can be removed on close
+   */
+  async function connected(ws) {
+    ws.connectionId = crypto.randomUUID();
+    await touch(ws);
+    log.info(`User ${ws.userId} is online`);
+  }
+
+  /**
+   * WebSocket `heartbeat` - keeps a registered socket's entry alive
+   */
+  async function heartbeat(ws) {
+    if (!ws.userId) return;
+    await touch(ws);
+  }
+
+  async function disconnected(ws) {
+    if (!ws.connectionId) return;
+    await client.eval(LEAVE_SCRIPT, {
+      keys: [presenceKey(ws.userId), lastSeenKey(ws.userId)],
+      arguments: [ws.connectionId]
+    });
+    ws.connectionId = null;
+  }
+
+  /**
+   * WebSocket `typing_start` / `typing_stop` - pushed to the other party wherever their socket is
+   * Message: { type, to_user_id }
+   */
+  async function relayTyping(ws, message) {
+    if (!ws.userId) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Register before sending typing events' }));
+      return;
+    }
+    if (!message.to_user_id) {
+      ws.send(JSON.stringify({ type: 'error', message: 'to_user_id is required' }));
+      return;
+    }
+
+    try {
+      await privacy.assertCanMessage(ws.userId, message.to_user_id);
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+      ws.send(JSON.stringify({ type: 'error', message: error.message }));
+      return;
+    }
+
+    await bus.push(message.to_user_id, {
+      type: message.type,
+      from_user_id: ws.userId,
+      at: new Date().toISOString()
+    });
+  }
+
+  async function quit() {
+    await client.quit();
+  }
+
+  return { connect, connected, heartbeat, disconnected, relayTyping, quit };
+}
+
+module.exports = { createPresence, lookupPresence, HEARTBEAT_INTERVAL_MS, PRESENCE_TTL_MS };
@@ -0,0 +1,345 @@
+/**
+ * Contacts, Blocking & Privacy
+ * A user's contacts, blocks and privacy settings live on their own shard (`contacts`,
+ * `blocks` and the `privacy_*` columns of `users`). Each setting is `everyone`, `contacts`
+ * or `nobody`, and a block overrides all of them. What a viewer may do with an owner -
+ * message them, see their last-seen, see their profile - is the owner's policy for that
+ * viewer, computed on the owner's shard.
+ * Senders usually live on other shards, and the gateway needs policies for presence and
+ * profiles, so policies are cached in the shared bus Redis: one hash per owner
+ * (`privacy:v1:<ownerId>`, viewer → policy). The owner's shard drops it on every change
+ * and bumps a generation counter, so a policy loaded while a change was in flight is
+ * discarded instead of cached stale (the same guard as the message cache).
+ * Shared by the shards (routes, the check on send) and the gateway (policy lookups).
+ */
+
+const redis = require('redis');
+const { signServiceToken } = require('./auth');
+const { createLogger, requestIdHeaders } = require('./logger');
+
+const VISIBILITY = ['everyone', 'contacts', 'nobody'];
+// Setting name in the API -> users column
+const SETTINGS = { messages: 'privacy_messages', last_seen: 'privacy_last_seen', profile: 'privacy_profile' };
+const POLICY_TTL_SECONDS = 300;
+const GENERATION_TTL_SECONDS = 86400;
+
+// KEYS policies, gen; ARGV generation seen before the load, viewer, policy, ttl
+const STORE_POLICY_SCRIPT = `
+if (redis.call('GET', KEYS[2]) or '0') ~= ARGV[1] then return 0 end
+redis.call('HSET', KEYS[1], ARGV[2], ARGV[3])
+redis.call('EXPIRE', KEYS[1], ARGV[4])
+return 1
+`;
+
+function policyKeys(ownerId) {
+  const base = `privacy:v1:${ownerId}`;
+  return { policies: base, gen: `${base}:gen` };
+}
+
+// Policy of an owner row (see POLICY_SQL) for the viewer it was computed for
+function policyFrom(row) {
+  const allows = setting => !row.blocked && (setting === 'everyone' || (setting === 'contacts' && row.is_contact));
+  return {
+    user_id: String(row.id),
+    exists: true,
+    deactivated: Boolean(row.deactivated_at),
+    can_message: !row.deactivated_at && allows(row.privacy_messages),
+    can_see_last_seen: allows(row.privacy_last_seen),
+    can_see_profile: allows(row.privacy_profile)
+  };
+}
+
+function missingPolicy(userId) {
+  return { user_id: String(userId), exists: false, deactivated: false, can_message: false, can_see_last_seen: false, can_see_profile: false };
+}
+
+/**
+ * Policies of a batch of owners for one viewer, from the cache or `load(missingOwnerIds)`
+ * @param {Object} client - connected Redis client on the bus
+ * @returns {Map} owner id -> policy
+ */
+async function lookupPolicies(client, viewerId, ownerIds, load) {
+  const owners = [...new Set(ownerIds.map(String))];
+  const viewer = String(viewerId);
+  const policies = new Map();
+  if (owners.length === 0) {
+    return policies;
+  }
+
+  const read = client.multi();
+  owners.forEach(ownerId => {
+    const keys = policyKeys(ownerId);
+    read.hGet(keys.policies, viewer);
+    read.get(keys.gen);
+  });
+  const cached = await read.exec();
+
+  const missing = [];
+  const generations = new Map();
+  owners.forEach((ownerId, i) => {
+    if (cached[i * 2]) {
+      policies.set(ownerId, JSON.parse(cached[i * 2]));
+    } else {
+      missing.push(ownerId);
+      generations.set(ownerId, cached[i * 2 + 1] || '0');
+    }
+  });
+
+  if (missing.length > 0) {
+    for (const policy of await load(missing)) {
+      policies.set(policy.user_id, policy);
+      // Unknown IDs aren't cached - the user may be created any moment
+      if (!policy.exists) continue;
+      const keys = policyKeys(policy.user_id);
+      await client.eval(STORE_POLICY_SCRIPT, {
+        keys: [keys.policies, keys.gen],
+        arguments: [generations.get(policy.user_id), viewer, JSON.stringify(policy), String(POLICY_TTL_SECONDS)]
+      });
+    }
+  }
+  return policies;
+}
+
+// Error carrying the HTTP status to answer with
+function refused(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function createPrivacy(app, pool, busUrl, shardId, gatewayUrl) {
+  const log = createLogger({ service: 'shard', shard: String(shardId), component: 'privacy' });
+  const client = redis.createClient({ url: busUrl });
+
+  client.on('error', (err) => log.error('Privacy Redis error', { error: err.message }));
+
+  async function connect() {
+    await client.connect();
+    log.info('Connected to privacy cache');
+  }
+
+  /**
+   * Something an owner's policies depend on changed - drop them everywhere
+   */
+  async function ownerChanged(ownerId) {
+    const keys = policyKeys(ownerId);
+    await client.multi()
+      .incr(keys.gen)
+      .expire(keys.gen, GENERATION_TTL_SECONDS)
+      .del(keys.policies)
+      .exec();
+  }
+
+  /**
+   * Policies of owners homed on this shard for a viewer, straight from the database
+   */
+  async function computePolicies(ownerIds, viewerId) {
+    const result = await pool.query(
+      `SELECT u.id, u.deactivated_at, u.privacy_messages, u.privacy_last_seen, u.privacy_profile,
+              EXISTS (SELECT 1 FROM contacts c WHERE c.user_id = u.id::text AND c.contact_id = $2) AS is_contact,
+              EXISTS (SELECT 1 FROM blocks b WHERE b.user_id = u.id::text AND b.blocked_id = $2) AS blocked
+       FROM users u
+       WHERE u.id::text = ANY($1)`,
+      [ownerIds.map(String), String(viewerId)]
+    );
+    const found = new Map(result.rows.map(row => [String(row.id), policyFrom(row)]));
+    return ownerIds.map(id => found.get(String(id)) || missingPolicy(id));
+  }
+
+  // Owners may live on any shard - the gateway routes the lookup to theirs
+  async function fetchPolicies(ownerIds, viewerId) {
+    const params = new URLSearchParams({ viewer: String(viewerId), ids: ownerIds.join(',') });
+    const response = await fetch(`${gatewayUrl}/api/internal/privacy?${params}`, {
+      headers: { Authorization: `Bearer ${signServiceToken(`shard-${shardId}`)}`, ...requestIdHeaders() }
+    });
+    if (!response.ok) {
+      throw new Error(`Privacy lookup failed: HTTP ${response.status}`);
+    }
+    return (await response.json()).policies;
+  }
+
+  /**
+   * Throw (with a status) unless `fromUserId` may message `toUserId`: the recipient must exist,
+   * be active and allow it, and the sender must not have blocked them
+   */
+  async function assertCanMessage(fromUserId, toUserId) {
+    if (String(fromUserId) === String(toUserId)) {
+      return;
+    }
+
+    const ownBlock = await pool.query(
+      'SELECT 1 FROM blocks WHERE user_id = $1 AND blocked_id = $2',
+      [String(fromUserId), String(toUserId)]
+    );
+    if (ownBlock.rows.length > 0) {
+      throw refused(403, 'Unblock this user to message them');
+    }
+
+    const policies = await lookupPolicies(client, fromUserId, [toUserId], ids => fetchPolicies(ids, fromUserId));
+    const policy = policies.get(String(toUserId));
+    if (!policy.exists) {
+      throw refused(404, 'Recipient not found');
+    }
+    if (policy.deactivated) {
+      throw refused(403, 'Recipient account is deactivated');
+    }
+    if (!policy.can_message) {
+      throw refused(403, 'This user does not accept messages from you');
+    }
+  }
+
+  // Contacts and blocks share their routes - { table, column, label }
+  const LISTS = [
+    { path: 'contacts', table: 'contacts', column: 'contact_id', label: 'contact' },
+    { path: 'blocks', table: 'blocks', column: 'blocked_id', label: 'block' }
+  ];
+
+  for (const list of LISTS) {
+    /**
+     * GET /api/users/:userId/contacts | blocks
+     */
+    app.get(`/api/users/:userId/${list.path}`, async (req, res) => {
+      try {
+        const result = await pool.query(
+          `SELECT ${list.column} AS user_id, created_at FROM ${list.table} WHERE user_id = $1 ORDER BY created_at DESC`,
+          [req.params.userId]
+        );
+        res.json({ [list.path]: result.rows, user_id: req.params.userId, shard_id: shardId });
+      } catch (error) {
+        log.error(`Error fetching ${list.path}`, { error: error.message });
+        res.status(500).json({ error: `Failed to fetch ${list.path}`, details: error.message });
+      }
+    });
+
+    /**
+     * POST /api/users/:userId/contacts | blocks - Body: { user_id }
+     */
+    app.post(`/api/users/:userId/${list.path}`, async (req, res) => {
+      try {
+        const { userId } = req.params;
+        const otherId = req.body.user_id ? String(req.body.user_id) : null;
+
+        if (!otherId) {
+          return res.status(400).json({ error: 'Missing user_id' });
+        }
+        if (otherId === String(userId)) {
+          return res.status(400).json({ error: `You cannot ${list.label} yourself` });
+        }
+
+        await pool.query(
+          `INSERT INTO ${list.table} (user_id, ${list.column}) VALUES ($1, $2) ON CONFLICT DO NOTHING`,
+          [userId, otherId]
+        );
+        await ownerChanged(userId);
+
+        log.info(`User ${userId} added ${list.label} ${otherId}`);
+        res.status(201).json({ user_id: otherId, shard_id: shardId });
+      } catch (error) {
+        log.error(`Error adding ${list.label}`, { error: error.message });
+        res.status(500).json({ error: `Failed to add ${list.label}`, details: error.message });
+      }
+    });
+
+    /**
+     * DELETE /api/users/:userId/contacts/:otherId | blocks/:otherId
+     */
+    app.delete(`/api/users/:userId/${list.path}/:otherId`, async (req, res) => {
+      try {
+        const { userId, otherId } = req.params;
+        const result = await pool.query(
+          `DELETE FROM ${list.table} WHERE user_id = $1 AND ${list.column} = $2`,
+          [userId, otherId]
+        );
+        if (result.rowCount === 0) {
+          return res.status(404).json({ error: `Not in your ${list.path}` });
+        }
+        await ownerChanged(userId);
+
+        log.info(`User ${userId} removed ${list.label} ${otherId}`);
+        res.json({ user_id: otherId, shard_id: shardId });
+      } catch (error) {
+        log.error(`Error removing ${list.label}`, { error: error.message });
+        res.status(500).json({ error: `Failed to remove ${list.label}`, details: error.message });
+      }
+    });
+  }
+
+  function toSettings(row) {
+    return Object.fromEntries(Object.entries(SETTINGS).map(([name, column]) => [name, row[column]]));
+  }
+
+  /**
+   * GET /api/users/:userId/privacy
+   */
+  app.get('/api/users/:userId/privacy', async (req, res) => {
+    try {
+      const result = await pool.query('SELECT * FROM users WHERE id::text = $1', [req.params.userId]);
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      res.json({ privacy: toSettings(result.rows[0]), shard_id: shardId });
+    } catch (error) {
+      log.error('Error fetching privacy settings', { error: error.message });
+      res.status(500).json({ error: 'Failed to fetch privacy settings', details: error.message });
+    }
+  });
+
+  /**
+   * PATCH /api/users/:userId/privacy
+   * Body: any of { messages, last_seen, profile } - each 'everyone' | 'contacts' | 'nobody'
+   */
+  app.patch('/api/users/:userId/privacy', async (req, res) => {
+    try {
+      const changes = Object.keys(SETTINGS).filter(name => req.body[name] !== undefined);
+      const invalid = changes.find(name => !VISIBILITY.includes(req.body[name]));
+      if (invalid) {
+        return res.status(400).json({ error: `${invalid} must be one of ${VISIBILITY.join(', ')}` });
+      }
+      if (changes.length === 0) {
+        return res.status(400).json({ error: `Nothing to update - send any of ${Object.keys(SETTINGS).join(', ')}` });
+      }
+
+      const assignments = changes.map((name, i) => `${SETTINGS[name]} = $${i + 2}`);
+      const result = await pool.query(
+        `UPDATE users SET ${assignments.join(', ')}, updated_at = NOW() WHERE id::text = $1 RETURNING *`,
+        [req.params.userId, ...changes.map(name => req.body[name])]
+      );
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      await ownerChanged(req.params.userId);
+
+      log.info(`User ${req.params.userId} updated privacy settings: ${changes.join(', ')}`);
+      res.json({ privacy: toSettings(result.rows[0]), shard_id: shardId });
+    } catch (error) {
+      log.error('Error updating privacy settings', { error: error.message });
+      res.status(500).json({ error: 'Failed to update privacy settings', details: error.message });
+    }
+  });
+
+  /**
+   * GET /api/privacy/policies?viewer=&ids=
+   * Policies of users on this shard for one viewer (unknown IDs come back with exists: false)
+   */
+  app.get('/api/privacy/policies', async (req, res) => {
+    try {
+      const { viewer } = req.query;
+      const ids = String(req.query.ids || '').split(',').filter(Boolean);
+      if (!viewer || ids.length === 0) {
+        return res.status(400).json({ error: 'Missing viewer or ids' });
+      }
+      res.json({ policies: await computePolicies(ids, viewer), shard_id: shardId });
+    } catch (error) {
+      log.error('Error computing privacy policies', { error: error.message });
+      res.status(500).json({ error: 'Failed to compute privacy policies', details: error.message });
+    }
+  });
+
+  async function quit() {
+    await client.quit();
+  }
+
+  return { connect, assertCanMessage, ownerChanged, quit };
+}
+
+module.exports = { createPrivacy, lookupPolicies, VISIBILITY };
@@ -0,0 +1,108 @@
+/**
+ * Delivery & Read Receipts
+ * Messages move sent → delivered → read. The row lives on the sender's shard, but the
+ * recipient may ack on any shard, so acks travel recipient shard → gateway → sender shard,
+ * which updates the row and pushes a `message_status` event to the sender over the message bus.
+ */
+
+const { signServiceToken } = require('./auth');
+const { createLogger, requestIdHeaders } = require('./logger');
+
+const STATUSES = ['sent', 'delivered', 'read'];
+
+function createReceiptRoutes(app, pool, cache, inbox, shardId, bus, gatewayUrl) {
+  const log = createLogger({ service: 'shard', shard: String(shardId), component: 'receipts' });
+
+  /**
+   * POST /api/messages/status
+   * Move messages forward in the lifecycle (never backwards) and notify their sender
+   * Body: { message_ids, status: 'delivered' | 'read', by_user_id }
+   */
+  app.post('/api/messages/status', async (req, res) => {
+    try {
+      const { message_ids = [], status, by_user_id } = req.body;
+
+      if (!['delivered', 'read'].includes(status) || !by_user_id || message_ids.length === 0) {
+        return res.status(400).json({ error: 'Invalid status update' });
+      }
+
+      // Only the recipient may ack, and only statuses earlier in the lifecycle are replaced
+      const result = await pool.query(
+        `UPDATE messages
+         SET status = $1,
+             delivered_at = COALESCE(delivered_at, NOW()),
+             read_at = CASE WHEN $1 = 'read' THEN COALESCE(read_at, NOW()) ELSE read_at END,
+             updated_at = NOW()
+         WHERE id = ANY($2::uuid[])
+           AND to_user_id = $3
+           AND array_position($4::text[], status) < array_position($4::text[], $1)
+         RETURNING *`,
+        [status, message_ids, String(by_user_id), STATUSES]
+      );
+
+      for (const row of result.rows) {
+        await cache.messageUpdated(row);
+
+        // The sender may be connected to any shard
+        await bus.push(row.from_user_id, {
+          type: 'message_status',
+          message_id: row.id,
+          to_user_id: row.to_user_id,
+          status: row.status,
+          delivered_at: row.delivered_at,
+          read_at: row.read_at
+        });
+      }
+      if (status === 'read') {
+        await inbox.messagesRead(result.rows);
+      }
+
+      log.info(`${result.rowCount} message(s) marked ${status} by user ${by_user_id}`);
+      const updated = result.rows.map(({ id, from_user_id, to_user_id, status, delivered_at, read_at }) =>
+        ({ id, from_user_id, to_user_id, status, delivered_at, read_at }));
+      res.json({ updated, shard_id: shardId });
+    } catch (error) {
+      log.error('Error updating message status', { error: error.message });
+      res.status(500).json({ error: 'Failed to update message status', details: error.message });
+    }
+  });
+
+  /**
+   * Handle a `delivered`/`read` ack from a registered socket:
+   * { type, message_ids, from_user_id } - from_user_id is the original sender, used for routing
+   */
+  async function handleAck(ws, message) {
+    const { type, message_ids = [], from_user_id } = message;
+
+    if (!ws.userId) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Register before acknowledging messages' }));
+      return;
+    }
+    if (!from_user_id || message_ids.length === 0) {
+      ws.send(JSON.stringify({ type: 'error', message: 'Ack needs from_user_id and message_ids' }));
+      return;
+    }
+
+    try {
+      const response = await fetch(`${gatewayUrl}/api/internal/receipts`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${signServiceToken(`shard-${shardId}`)}`,
+          ...requestIdHeaders()
+        },
+        body: JSON.stringify({ from_user_id, message_ids, status: type, by_user_id: ws.userId })
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (error) {
+      log.error(`Error forwarding ${type} ack`, { error: error.message });
+      ws.send(JSON.stringify({ type: 'error', message: `Failed to record ${type} receipt` }));
+    }
+  }
+
+  return { handleAck };
+}
+
+module.exports = { createReceiptRoutes };
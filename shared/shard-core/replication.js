@@ -1,76 +1,403 @@
 /**
  * Database Replication Manager
- * Syncs data from primary database to backup database
- * Runs periodically on each shard
+ * Ships changes from the primary database to the backup database using the
+ * primary's change log (`replication_log`, filled by triggers - see postgres/*.sql).
+ * The backup stores the last applied seq in `replication_checkpoint`, in the same
+ * transaction as the rows it applies, so a backup that was down for any length of
+ * time resumes exactly where it stopped. A backup without a checkpoint is
+ * bootstrapped with a full copy first.
  */
 
 const { Pool } = require('pg');
+const { createLogger } = require('./logger');
+
+// Replicated tables and their key columns (must match the trigger arguments)
+const REPLICATED_TABLES = {
+  users: ['id'],
+  messages: ['id'],
+  message_edits: ['id'],
+  groups: ['id'],
+  group_members: ['group_id', 'user_id'],
+  group_messages: ['id'],
+  inbox_entries: ['user_id', 'counterpart_id'],
+  contacts: ['user_id', 'contact_id'],
+  blocks: ['user_id', 'blocked_id']
+};
+
+const BATCH_SIZE = 500;
+// A seq gap usually means a transaction that hasn't committed yet; one missing for this long
+// (counted from when the gap itself was first seen) is presumed rolled back and skipped
+const GAP_TIMEOUT_SECONDS = 30;
+// A skipped seq is still looked for this long, in case its transaction commits late after all
+const SKIPPED_RETENTION_SECONDS = 3600;
+
+function keyString(keys, row) {
+  return keys.map(k => String(row[k])).join('|');
+}
+
+// "(k1, k2) IN (($1, $2), ($3, $4))" for a list of keys
+function keyFilter(keys, rowKeys, params) {
+  const tuples = rowKeys.map(rowKey => {
+    const placeholders = keys.map(k => {
+      params.push(rowKey[k]);
+      return `$${params.length}`;
+    });
+    return `(${placeholders.join(', ')})`;
+  });
+  return `(${keys.join(', ')}) IN (${tuples.join(', ')})`;
+}
 
 class ReplicationManager {
-  constructor(shardId, primaryDB, backupDB) {
+  constructor(shardId, primaryDB, backupDB, metrics = null) {
     this.shardId = shardId;
+    this.log = createLogger({ service: 'shard', shard: String(shardId), component: 'replication' });
     this.primaryPool = new Pool(primaryDB);
     this.backupPool = new Pool(backupDB);
+    this.source = `${primaryDB.host}:${primaryDB.port}`;
     this.syncInterval = 5000; // Sync every 5 seconds
+    this.syncing = false;
+    this.paused = false;
+    this.lastSyncAt = null;
+    this.lastError = null;
+    this.gapSeenAt = new Map(); // seq -> when it was first seen missing (ms)
+    this.skipped = new Map(); // seq -> when it was skipped (ms)
+
+    if (metrics) {
+      this.syncDuration = metrics.histogram(
+        'replication_sync_duration_seconds', 'Duration of a replication sync cycle', ['result'], [0.01, 0.05, 0.1, 0.5, 1, 5, 15, 60]
+      );
+      this.appliedChanges = metrics.counter('replication_applied_changes_total', 'Change-log entries applied to the backup');
+    }
+
+    this.primaryPool.on('error', (err) => {
+      this.log.error('Primary pool error', { error: err.message });
+    });
+    this.backupPool.on('error', (err) => {
+      this.log.error('Backup pool error', { error: err.message });
+    });
   }
 
   async initialize() {
     try {
       await this.primaryPool.query('SELECT 1');
-      console.log(`[REPLICATION-${this.shardId}] Primary database connected`);
-      
+      this.log.info('Primary database connected');
+
       await this.backupPool.query('SELECT 1');
-      console.log(`[REPLICATION-${this.shardId}] Backup database connected`);
-      
+      this.log.info('Backup database connected');
+
       this.startReplication();
     } catch (error) {
-      console.error(`[REPLICATION-${this.shardId}] Initialization error:`, error.message);
+      this.log.error('Initialization error', { error: error.message });
       setTimeout(() => this.initialize(), 5000); // Retry after 5 seconds
     }
   }
 
   startReplication() {
-    console.log(`[REPLICATION-${this.shardId}] Starting replication sync every ${this.syncInterval}ms`);
-    
+    this.log.info(`Starting change-log replication every ${this.syncInterval}ms`);
+
+    this.syncData();
     setInterval(() => {
       this.syncData();
     }, this.syncInterval);
   }
 
+  /**
+   * Apply every committed change since the checkpoint, one batch per backup transaction
+   */
   async syncData() {
+    if (this.syncing || this.paused) return;
+    this.syncing = true;
+    const endTimer = this.syncDuration?.startTimer();
+
     try {
-      // Sync users table
-      const usersResult = await this.primaryPool.query('SELECT * FROM users');
-      if (usersResult.rows.length > 0) {
-        for (const user of usersResult.rows) {
-          await this.backupPool.query(
-            'INSERT INTO users (id, name, shard_id) VALUES ($1, $2, $3) ON CONFLICT (id) DO UPDATE SET name = $2, shard_id = $3',
-            [user.id, user.name, user.shard_id]
-          );
-        }
+      let checkpoint = await this.loadCheckpoint();
+      if (checkpoint === null) {
+        checkpoint = await this.bootstrap();
       }
 
-      // Sync messages table - get recent messages
-      const messagesResult = await this.primaryPool.query(
-        `SELECT * FROM messages 
-         WHERE created_at > NOW() - INTERVAL '1 minute'
-         ORDER BY created_at DESC`
+      let applied = 0;
+      let batch;
+      while ((batch = await this.applyBatch(checkpoint))) {
+        checkpoint = batch.lastSeq;
+        applied += batch.entries;
+        this.appliedChanges?.inc(batch.entries);
+      }
+
+      // The backup has everything up to the checkpoint, so the primary can forget it -
+      // except skipped seqs, whose entries may still appear
+      await this.primaryPool.query(
+        'DELETE FROM replication_log WHERE seq <= $1 AND NOT (seq = ANY($2::bigint[]))',
+        [checkpoint, [...this.skipped.keys()]]
       );
-      
-      if (messagesResult.rows.length > 0) {
-        for (const msg of messagesResult.rows) {
-          await this.backupPool.query(
-            `INSERT INTO messages (id, from_user_id, to_user_id, content, created_at, shard_id) 
-             VALUES ($1, $2, $3, $4, $5, $6)
-             ON CONFLICT (id) DO UPDATE SET content = $4`,
-            [msg.id, msg.from_user_id, msg.to_user_id, msg.content, msg.created_at, msg.shard_id]
-          );
+
+      this.lastSyncAt = new Date();
+      this.lastError = null;
+      endTimer?.({ result: 'ok' });
+      if (applied > 0) {
+        this.log.info(`Applied ${applied} change(s), checkpoint at seq ${checkpoint}`);
+      }
+    } catch (error) {
+      this.lastError = error.message;
+      endTimer?.({ result: 'error' });
+      this.log.error('Replication error', { error: error.message });
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  /**
+   * Stop shipping changes (the source is gone or the direction is about to reverse)
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  resume() {
+    this.paused = false;
+  }
+
+  /**
+   * Start the next sync after `seq` instead of at the stored checkpoint
+   */
+  async setCheckpoint(seq) {
+    await this.applyChanges([], { seq, changedAt: null });
+  }
+
+  /**
+   * Last applied seq from the backup, or null if it was never synced
+   */
+  async loadCheckpoint() {
+    const result = await this.backupPool.query(
+      'SELECT last_seq FROM replication_checkpoint WHERE source = $1',
+      [this.source]
+    );
+    return result.rows.length > 0 ? Number(result.rows[0].last_seq) : null;
+  }
+
+  /**
+   * Entries for skipped seqs whose transaction committed after all - they sit below the checkpoint
+   */
+  async lateEntries() {
+    const cutoff = Date.now() - SKIPPED_RETENTION_SECONDS * 1000;
+    for (const [seq, skippedAt] of this.skipped) {
+      if (skippedAt < cutoff) this.skipped.delete(seq);
+    }
+    if (this.skipped.size === 0) return [];
+
+    const result = await this.primaryPool.query(
+      'SELECT seq, table_name, row_key, changed_at FROM replication_log WHERE seq = ANY($1::bigint[]) ORDER BY seq',
+      [[...this.skipped.keys()]]
+    );
+    if (result.rows.length > 0) {
+      this.log.warn(`${result.rows.length} change(s) committed after their seq was skipped, applying them now`);
+    }
+    return result.rows;
+  }
+
+  /**
+   * Read the next batch of log entries and apply the rows they point at.
+   * Returns { lastSeq, entries } or null when there is nothing to apply.
+   */
+  async applyBatch(checkpoint) {
+    const late = await this.lateEntries();
+    const result = await this.primaryPool.query(
+      `SELECT seq, table_name, row_key, changed_at
+       FROM replication_log
+       WHERE seq > $1
+       ORDER BY seq
+       LIMIT $2`,
+      [checkpoint, BATCH_SIZE]
+    );
+
+    // Sequence numbers are handed out before commit, so stop at a gap until it fills or times out
+    const now = Date.now();
+    const ready = [];
+    const skipping = [];
+    let expected = checkpoint + 1;
+    for (const entry of result.rows) {
+      const seq = Number(entry.seq);
+      if (seq !== expected) {
+        const missing = [];
+        for (let gap = expected; gap < seq; gap++) {
+          if (!this.gapSeenAt.has(gap)) this.gapSeenAt.set(gap, now);
+          missing.push(gap);
         }
+        if (missing.some(gap => now - this.gapSeenAt.get(gap) < GAP_TIMEOUT_SECONDS * 1000)) break;
+        skipping.push(...missing);
       }
+      ready.push(entry);
+      expected = seq + 1;
+    }
+    if (ready.length === 0 && late.length === 0) return null;
+
+    // Several entries for the same row collapse into one read of its current state
+    const pending = new Map();
+    for (const entry of [...late, ...ready]) {
+      const keys = REPLICATED_TABLES[entry.table_name];
+      if (!keys) continue;
+      if (!pending.has(entry.table_name)) pending.set(entry.table_name, new Map());
+      pending.get(entry.table_name).set(keyString(keys, entry.row_key), entry.row_key);
+    }
+
+    const changes = [];
+    for (const [table, rowKeys] of pending) {
+      changes.push(await this.readChanges(table, [...rowKeys.values()]));
+    }
+
+    const last = ready[ready.length - 1];
+    await this.applyChanges(changes, last ? { seq: Number(last.seq), changedAt: last.changed_at } : null);
+
+    late.forEach(entry => this.skipped.delete(Number(entry.seq)));
+    if (skipping.length > 0) {
+      this.log.warn(`Skipping seq ${skipping.join(', ')} after ${GAP_TIMEOUT_SECONDS}s, still watching for late commits`);
+      skipping.forEach(seq => this.skipped.set(seq, now));
+    }
+    // Gaps at or below the new checkpoint were either filled or skipped
+    for (const seq of this.gapSeenAt.keys()) {
+      if (seq < expected) this.gapSeenAt.delete(seq);
+    }
+
+    return { lastSeq: last ? Number(last.seq) : checkpoint, entries: late.length + ready.length };
+  }
+
+  /**
+   * Current primary state of the given rows: { table, upserts, deletes } where
+   * deletes are the keys that no longer exist on the primary
+   */
+  async readChanges(table, rowKeys) {
+    const keys = REPLICATED_TABLES[table];
+    const params = [];
+    const current = await this.primaryPool.query(
+      `SELECT * FROM ${table} WHERE ${keyFilter(keys, rowKeys, params)}`,
+      params
+    );
+
+    const found = new Set(current.rows.map(row => keyString(keys, row)));
+    const deletes = rowKeys.filter(rowKey => !found.has(keyString(keys, rowKey)));
+    return { table, upserts: current.rows, deletes };
+  }
+
+  /**
+   * Write rows and the new checkpoint (if given) to the backup atomically
+   */
+  async applyChanges(changes, checkpoint) {
+    const client = await this.backupPool.connect();
+    try {
+      // READ WRITE overrides the fence on a demoted primary that is being reconciled
+      await client.query('BEGIN READ WRITE');
+      // Replica mode skips triggers and FK checks - rows arrive grouped by table, not in FK order
+      await client.query('SET LOCAL session_replication_role = replica');
+
+      for (const { table, upserts, deletes } of changes) {
+        const keys = REPLICATED_TABLES[table];
+        if (upserts.length > 0) {
+          await this.upsertRows(client, table, keys, upserts);
+        }
+        if (deletes.length > 0) {
+          const params = [];
+          await client.query(`DELETE FROM ${table} WHERE ${keyFilter(keys, deletes, params)}`, params);
+        }
+      }
+
+      if (checkpoint) {
+        await client.query(
+          `INSERT INTO replication_checkpoint (source, last_seq, last_changed_at, applied_at)
+           VALUES ($1, $2, $3, NOW())
+           ON CONFLICT (source) DO UPDATE SET last_seq = $2, last_changed_at = $3, applied_at = NOW()`,
+          [this.source, checkpoint.seq, checkpoint.changedAt]
+        );
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async upsertRows(client, table, keys, rows) {
+    const columns = Object.keys(rows[0]);
+    const params = [];
+    const values = rows.map(row => {
+      const placeholders = columns.map(column => {
+        params.push(row[column]);
+        return `$${params.length}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+
+    const updates = columns.filter(c => !keys.includes(c)).map(c => `${c} = EXCLUDED.${c}`);
+    await client.query(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${values.join(', ')}
+       ON CONFLICT (${keys.join(', ')}) DO ${updates.length > 0 ? `UPDATE SET ${updates.join(', ')}` : 'NOTHING'}`,
+      params
+    );
+  }
+
+  /**
+   * Full copy for a backup with no checkpoint. The log head is read first, so
+   * changes made during the copy are replayed afterwards (applies are idempotent).
+   */
+  async bootstrap() {
+    this.log.info('No checkpoint on backup, starting full copy');
+    const head = await this.primaryPool.query('SELECT COALESCE(MAX(seq), 0) AS seq FROM replication_log');
+    const startSeq = Number(head.rows[0].seq);
+
+    for (const [table, keys] of Object.entries(REPLICATED_TABLES)) {
+      let copied = 0;
+      for (let offset = 0; ; offset += BATCH_SIZE) {
+        const page = await this.primaryPool.query(
+          `SELECT * FROM ${table} ORDER BY ${keys.join(', ')} LIMIT $1 OFFSET $2`,
+          [BATCH_SIZE, offset]
+        );
+        if (page.rows.length === 0) break;
+        await this.applyChanges([{ table, upserts: page.rows, deletes: [] }], null);
+        copied += page.rows.length;
+        if (page.rows.length < BATCH_SIZE) break;
+      }
+      this.log.info(`Bootstrap copied ${copied} row(s) from ${table}`);
+    }
+
+    await this.applyChanges([], { seq: startSeq, changedAt: null });
+    return startSeq;
+  }
+
+  /**
+   * Replication lag in rows (unapplied log entries) and seconds (age of the oldest one)
+   */
+  async getStatus() {
+    const status = {
+      source: this.source,
+      last_sync_at: this.lastSyncAt,
+      last_error: this.lastError
+    };
+
+    try {
+      const checkpoint = await this.backupPool.query(
+        'SELECT last_seq, last_changed_at, applied_at FROM replication_checkpoint WHERE source = $1',
+        [this.source]
+      );
+      const row = checkpoint.rows[0];
+      const lastSeq = row ? Number(row.last_seq) : 0;
+
+      const pending = await this.primaryPool.query(
+        `SELECT COUNT(*) AS rows, EXTRACT(EPOCH FROM clock_timestamp() - MIN(changed_at)) AS seconds
+         FROM replication_log WHERE seq > $1`,
+        [lastSeq]
+      );
 
-      console.log(`[REPLICATION-${this.shardId}] Sync completed - Users: ${usersResult.rows.length}, Recent Messages: ${messagesResult.rows.length}`);
+      return {
+        ...status,
+        bootstrapped: Boolean(row),
+        last_applied_seq: lastSeq,
+        last_applied_change_at: row ? row.last_changed_at : null,
+        last_applied_at: row ? row.applied_at : null,
+        lag_rows: Number(pending.rows[0].rows),
+        lag_seconds: pending.rows[0].seconds === null ? 0 : Number(Number(pending.rows[0].seconds).toFixed(3))
+      };
     } catch (error) {
-      console.error(`[REPLICATION-${this.shardId}] Replication error:`, error.message);
+      return { ...status, last_error: error.message };
     }
   }
 
@@ -80,4 +407,4 @@ class ReplicationManager {
   }
 }
 
-module.exports = { ReplicationManager };
+module.exports = { ReplicationManager, REPLICATED_TABLES };
@@ -0,0 +1,426 @@
+/**
+ * Resharding Support (shard side)
+ * Export/import endpoints and dual-write forwarding used by the gateway's
+ * resharding coordinator to move users between shards while traffic keeps flowing.
+ * Dual-writes that fail are parked in a Redis list per migration and retried in order;
+ * the coordinator flushes them before it stops forwarding.
+ */
+
+const { hashKey } = require('./hashRing');
+const { signServiceToken } = require('./auth');
+const { queueKey, readQueue, mergeQueue } = require('./offlineQueue');
+const { createLogger, requestIdHeaders } = require('./logger');
+
+// Tables that may be copied between shards and their conflict keys
+const MIGRATABLE_TABLES = {
+  users: 'id',
+  messages: 'id',
+  message_edits: 'id',
+  contacts: 'user_id, contact_id',
+  blocks: 'user_id, blocked_id'
+};
+
+const EXPORT_PAGE_SIZE = 500;
+const FORWARDING_KEY = 'resharding:forwarding';
+const RETRY_INTERVAL_MS = 5000;
+
+function retryKey(migrationId) {
+  return `resharding:retry:${migrationId}`;
+}
+
+/**
+ * Check whether a user is covered by a migration selector ({ user_ids } or { hash_range })
+ */
+function selectorMatches(selector, userId) {
+  if (selector.user_ids && selector.user_ids.map(String).includes(String(userId))) {
+    return true;
+  }
+  if (selector.hash_range) {
+    const position = hashKey(userId);
+    return position >= selector.hash_range.start && position < selector.hash_range.end;
+  }
+  return false;
+}
+
+/**
+ * Find the ids of users on this shard covered by a selector
+ */
+async function selectUserIds(pool, selector) {
+  const result = await pool.query('SELECT id FROM users ORDER BY id');
+  return result.rows.map(row => String(row.id)).filter(id => selectorMatches(selector, id));
+}
+
+/**
+ * Upsert a batch of rows - columns come from the rows so new schema columns copy too
+ */
+async function upsertRows(pool, table, rows) {
+  const conflictKey = MIGRATABLE_TABLES[table];
+  if (!conflictKey) {
+    throw new Error(`Table ${table} cannot be migrated`);
+  }
+
+  for (const row of rows) {
+    const columns = Object.keys(row);
+    if (columns.some(column => !/^[a-z_]+$/.test(column))) {
+      throw new Error(`Invalid column in ${table} row`);
+    }
+
+    const placeholders = columns.map((_, i) => `$${i + 1}`);
+    const updates = columns
+      .filter(column => !conflictKey.split(', ').includes(column))
+      .map(column => `${column} = EXCLUDED.${column}`);
+
+    await pool.query(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders.join(', ')})
+       ON CONFLICT (${conflictKey}) DO ${updates.length ? `UPDATE SET ${updates.join(', ')}` : 'NOTHING'}`,
+      columns.map(column => row[column])
+    );
+  }
+}
+
+function createReshardingRoutes(app, pool, redisClient, shardId, cache, inbox) {
+  const log = createLogger({ service: 'shard', shard: String(shardId), component: 'resharding' });
+  // Active dual-write forwards: [{ migration_id, selector, target_url }]
+  let forwards = [];
+  // Migrations with a dual-write that could not even be parked for retry
+  const lostWrites = new Set();
+  // Running retry drains per migration - one at a time, or an entry could be popped unsent
+  const drains = new Map();
+
+  // Restore forwards after a restart so no write is missed mid-migration
+  redisClient.get(FORWARDING_KEY)
+    .then(saved => {
+      forwards = saved ? JSON.parse(saved) : [];
+      if (forwards.length) {
+        log.info(`Restored ${forwards.length} resharding forward(s)`);
+      }
+    })
+    .catch(error => log.error('Error restoring resharding forwards', { error: error.message }));
+
+  async function saveForwards() {
+    await redisClient.set(FORWARDING_KEY, JSON.stringify(forwards));
+  }
+
+  async function sendForward(targetUrl, message) {
+    const response = await fetch(`${targetUrl}/api/admin/resharding/import`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${signServiceToken(`shard-${shardId}`)}`,
+        ...requestIdHeaders()
+      },
+      body: JSON.stringify({ messages: [message] })
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+  }
+
+  /**
+   * Resend a migration's parked dual-writes, oldest first, until one fails
+   */
+  function drainRetries(forward) {
+    if (!drains.has(forward.migration_id)) {
+      const drain = (async () => {
+        const key = retryKey(forward.migration_id);
+        let entry;
+        while ((entry = await redisClient.lIndex(key, 0))) {
+          await sendForward(forward.target_url, JSON.parse(entry));
+          await redisClient.lPop(key);
+        }
+      })().finally(() => drains.delete(forward.migration_id));
+      drains.set(forward.migration_id, drain);
+    }
+    return drains.get(forward.migration_id);
+  }
+
+  setInterval(() => {
+    forwards.forEach(forward => {
+      drainRetries(forward).catch(error => {
+        log.warn(`Dual-write retry to ${forward.target_url} failed`, { error: error.message });
+      });
+    });
+  }, RETRY_INTERVAL_MS);
+
+  /**
+   * GET /api/admin/resharding/users
+   * List users on this shard matched by ?user_ids=1,2 or ?hash_start=&hash_end=
+   */
+  app.get('/api/admin/resharding/users', async (req, res) => {
+    try {
+      const selector = parseSelector(req.query);
+      const userIds = await selectUserIds(pool, selector);
+      res.json({ user_ids: userIds, shard_id: shardId });
+    } catch (error) {
+      log.error('Error selecting users for resharding', { error: error.message });
+      res.status(400).json({ error: 'Failed to select users', details: error.message });
+    }
+  });
+
+  /**
+   * GET /api/admin/resharding/export
+   * Export a page of users (with their contacts and blocks), messages and their edit history for ?user_ids=... after the ?after_id cursor
+   */
+  app.get('/api/admin/resharding/export', async (req, res) => {
+    try {
+      const userIds = String(req.query.user_ids || '').split(',').filter(Boolean);
+      const limit = Math.min(parseInt(req.query.limit) || EXPORT_PAGE_SIZE, EXPORT_PAGE_SIZE);
+      const afterId = req.query.after_id || null;
+
+      // Users, their contacts and blocks travel with the first page only
+      const users = afterId
+        ? []
+        : (await pool.query('SELECT * FROM users WHERE id::text = ANY($1)', [userIds])).rows;
+      const contacts = afterId
+        ? []
+        : (await pool.query('SELECT * FROM contacts WHERE user_id = ANY($1)', [userIds])).rows;
+      const blocks = afterId
+        ? []
+        : (await pool.query('SELECT * FROM blocks WHERE user_id = ANY($1)', [userIds])).rows;
+
+      const messages = await pool.query(
+        `SELECT * FROM messages
+         WHERE from_user_id = ANY($1)
+           AND ($2::uuid IS NULL OR id > $2::uuid)
+         ORDER BY id ASC
+         LIMIT $3`,
+        [userIds, afterId, limit]
+      );
+
+      const edits = await pool.query(
+        'SELECT * FROM message_edits WHERE message_id = ANY($1::uuid[])',
+        [messages.rows.map(msg => msg.id)]
+      );
+
+      const last = messages.rows[messages.rows.length - 1];
+      res.json({
+        users,
+        messages: messages.rows,
+        message_edits: edits.rows,
+        contacts,
+        blocks,
+        next_cursor: messages.rows.length === limit ? last.id : null,
+        shard_id: shardId
+      });
+    } catch (error) {
+      log.error('Error exporting rows', { error: error.message });
+      res.status(500).json({ error: 'Failed to export rows', details: error.message });
+    }
+  });
+
+  /**
+   * POST /api/admin/resharding/import
+   * Idempotently upsert users, contacts, blocks and messages copied from another shard
+   */
+  app.post('/api/admin/resharding/import', async (req, res) => {
+    try {
+      const { users = [], messages = [], message_edits = [], contacts = [], blocks = [] } = req.body;
+
+      await upsertRows(pool, 'users', users.map(user => ({ ...user, shard_id: parseInt(shardId) })));
+      await upsertRows(pool, 'messages', messages);
+      await upsertRows(pool, 'message_edits', message_edits);
+      await upsertRows(pool, 'contacts', contacts);
+      await upsertRows(pool, 'blocks', blocks);
+
+      // Imported rows go through the cache like local writes, so cached windows stay complete
+      for (const message of messages) {
+        await cache.messageStored(message);
+      }
+      // Copies may arrive in any order and repeat - recount the inboxes they touch
+      await inbox.rebuild(messages.flatMap(message => [message.from_user_id, message.to_user_id]));
+
+      res.json({ imported: { users: users.length, messages: messages.length }, shard_id: shardId });
+    } catch (error) {
+      log.error('Error importing rows', { error: error.message });
+      res.status(500).json({ error: 'Failed to import rows', details: error.message });
+    }
+  });
+
+  /**
+   * POST /api/admin/resharding/forwards
+   * Start dual-writing new messages from the selected users to another shard
+   */
+  app.post('/api/admin/resharding/forwards', async (req, res) => {
+    try {
+      const { migration_id, selector, target_url } = req.body;
+      if (!migration_id || !selector || !target_url) {
+        return res.status(400).json({ error: 'Missing required fields' });
+      }
+
+      forwards = forwards.filter(f => f.migration_id !== migration_id);
+      forwards.push({ migration_id, selector, target_url });
+      await saveForwards();
+
+      log.info(`Dual-writing migration ${migration_id} to ${target_url}`);
+      res.json({ forwards, shard_id: shardId });
+    } catch (error) {
+      log.error('Error starting forward', { error: error.message });
+      res.status(500).json({ error: 'Failed to start forward', details: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/admin/resharding/forwards/:migrationId
+   * Stop dual-writing for a migration
+   */
+  app.delete('/api/admin/resharding/forwards/:migrationId', async (req, res) => {
+    try {
+      forwards = forwards.filter(f => f.migration_id !== req.params.migrationId);
+      await saveForwards();
+      // Whatever is still parked is abandoned with the migration - the coordinator flushes first
+      await redisClient.del(retryKey(req.params.migrationId));
+      lostWrites.delete(req.params.migrationId);
+
+      log.info(`Stopped dual-writing migration ${req.params.migrationId}`);
+      res.json({ forwards, shard_id: shardId });
+    } catch (error) {
+      log.error('Error stopping forward', { error: error.message });
+      res.status(500).json({ error: 'Failed to stop forward', details: error.message });
+    }
+  });
+
+  /**
+   * POST /api/admin/resharding/forwards/:migrationId/flush
+   * Resend parked dual-writes now and report how many are still unsent
+   */
+  app.post('/api/admin/resharding/forwards/:migrationId/flush', async (req, res) => {
+    const forward = forwards.find(f => f.migration_id === req.params.migrationId);
+    if (!forward) {
+      return res.status(404).json({ error: 'Forward not found' });
+    }
+
+    try {
+      await drainRetries(forward).catch(error => {
+        log.warn(`Dual-write retry to ${forward.target_url} failed`, { error: error.message });
+      });
+
+      res.json({
+        migration_id: forward.migration_id,
+        pending: await redisClient.lLen(retryKey(forward.migration_id)),
+        lost: lostWrites.has(forward.migration_id),
+        shard_id: shardId
+      });
+    } catch (error) {
+      log.error('Error flushing forward', { error: error.message });
+      res.status(500).json({ error: 'Failed to flush forward', details: error.message });
+    }
+  });
+
+  /**
+   * GET /api/admin/resharding/queues
+   * Offline-queue entries still unacknowledged for ?user_ids=...
+   */
+  app.get('/api/admin/resharding/queues', async (req, res) => {
+    try {
+      const userIds = String(req.query.user_ids || '').split(',').filter(Boolean);
+      const queues = {};
+      for (const userId of userIds) {
+        const entries = await readQueue(redisClient, userId);
+        if (entries.length) {
+          queues[userId] = entries;
+        }
+      }
+      res.json({ queues, shard_id: shardId });
+    } catch (error) {
+      log.error('Error exporting queues', { error: error.message });
+      res.status(500).json({ error: 'Failed to export queues', details: error.message });
+    }
+  });
+
+  /**
+   * POST /api/admin/resharding/queues
+   * Merge offline-queue entries moved from another shard - Body: { queues: { userId: [{ queue_id, payload }] } }
+   */
+  app.post('/api/admin/resharding/queues', async (req, res) => {
+    try {
+      const queues = req.body.queues || {};
+      let entries = 0;
+      for (const [userId, userEntries] of Object.entries(queues)) {
+        await mergeQueue(redisClient, userId, userEntries);
+        entries += userEntries.length;
+      }
+      res.json({ imported: { users: Object.keys(queues).length, entries }, shard_id: shardId });
+    } catch (error) {
+      log.error('Error importing queues', { error: error.message });
+      res.status(500).json({ error: 'Failed to import queues', details: error.message });
+    }
+  });
+
+  /**
+   * POST /api/admin/resharding/purge
+   * Delete moved users, their contacts, blocks and offline queues, and the messages they sent from this shard
+   */
+  app.post('/api/admin/resharding/purge', async (req, res) => {
+    try {
+      const userIds = (req.body.user_ids || []).map(String);
+      if (userIds.length === 0) {
+        return res.status(400).json({ error: 'No user IDs provided' });
+      }
+
+      await pool.query(
+        'DELETE FROM message_edits WHERE message_id IN (SELECT id FROM messages WHERE from_user_id = ANY($1))',
+        [userIds]
+      );
+      const messages = await pool.query('DELETE FROM messages WHERE from_user_id = ANY($1)', [userIds]);
+      await pool.query('DELETE FROM contacts WHERE user_id = ANY($1)', [userIds]);
+      await pool.query('DELETE FROM blocks WHERE user_id = ANY($1)', [userIds]);
+      const users = await pool.query('DELETE FROM users WHERE id::text = ANY($1)', [userIds]);
+      await redisClient.del(userIds.map(queueKey));
+      // Moved users' conversations no longer live here - nothing cached for them may be served
+      await cache.invalidateUsers(userIds);
+      // What remains of their conversations here is the messages others sent them
+      await inbox.rebuild(userIds);
+
+      log.info(`Purged ${users.rowCount} users and ${messages.rowCount} messages`);
+      res.json({ purged: { users: users.rowCount, messages: messages.rowCount }, shard_id: shardId });
+    } catch (error) {
+      log.error('Error purging rows', { error: error.message });
+      res.status(500).json({ error: 'Failed to purge rows', details: error.message });
+    }
+  });
+
+  /**
+   * Forward a freshly written message to any shard a migration is copying its sender to.
+   * Failures are parked for retry instead of thrown - the message is already committed here.
+   */
+  async function forwardWrite(message) {
+    const targets = forwards.filter(f => selectorMatches(f.selector, message.from_user_id));
+
+    for (const forward of targets) {
+      const key = retryKey(forward.migration_id);
+      try {
+        // Behind earlier failures, so an older version of a message never lands after a newer one
+        if (await redisClient.lLen(key) === 0) {
+          await sendForward(forward.target_url, message);
+          continue;
+        }
+      } catch (error) {
+        log.warn(`Dual-write to ${forward.target_url} failed, retrying`, { error: error.message });
+      }
+
+      try {
+        await redisClient.rPush(key, JSON.stringify(message));
+      } catch (error) {
+        lostWrites.add(forward.migration_id);
+        log.error(`Dual-write to ${forward.target_url} lost`, { error: error.message, message_id: message.id });
+      }
+    }
+  }
+
+  return { forwardWrite };
+}
+
+/**
+ * Build a selector from query parameters
+ */
+function parseSelector(query) {
+  if (query.user_ids) {
+    return { user_ids: String(query.user_ids).split(',').filter(Boolean) };
+  }
+  if (query.hash_start !== undefined && query.hash_end !== undefined) {
+    return { hash_range: { start: Number(query.hash_start), end: Number(query.hash_end) } };
+  }
+  throw new Error('Provide user_ids or hash_start/hash_end');
+}
+
+module.exports = { createReshardingRoutes };
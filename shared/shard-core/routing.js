@@ -0,0 +1,141 @@
+/**
+ * Routing Table
+ * Overrides layered on top of the hash ring by resharding migrations: single users and hash
+ * ranges moved to another shard. They live in the shared bus Redis so every gateway instance
+ * and every shard resolves a user to the same shard - `routing:users` (hash, user id → shard id)
+ * and `routing:ranges` (JSON list of { start, end, shard_id }).
+ * Each process keeps a copy in memory for synchronous lookups. Writers announce changes on
+ * `routing:changed` and every copy reloads; a periodic reload covers a missed announcement.
+ * Shared by the gateway (routes requests, writes overrides) and the shards (ownership checks).
+ */
+
+const redis = require('redis');
+const { hashKey } = require('./hashRing');
+const { createLogger } = require('./logger');
+
+const log = createLogger({ component: 'routing' });
+
+const USERS_KEY = 'routing:users';
+const RANGES_KEY = 'routing:ranges';
+const CHANGED_CHANNEL = 'routing:changed';
+const RELOAD_INTERVAL_MS = 30000;
+
+class RoutingTable {
+  constructor(ring, busUrl) {
+    this.ring = ring;
+    this.users = new Map(); // userId -> shardId
+    this.ranges = []; // [{ start, end, shard_id }]
+    this.client = redis.createClient({ url: busUrl });
+    this.subscriber = this.client.duplicate();
+    this.client.on('error', (err) => log.error('Routing Redis error', { error: err.message }));
+    this.subscriber.on('error', (err) => log.error('Routing subscriber Redis error', { error: err.message }));
+  }
+
+  /**
+   * Load the overrides and follow changes - resolve() only sees the ring until this completes
+   */
+  async connect() {
+    await this.client.connect();
+    await this.subscriber.connect();
+    await this.subscriber.subscribe(CHANGED_CHANNEL, () => {
+      this.reload().catch(error => log.error('Error reloading routing table', { error: error.message }));
+    });
+    await this.reload();
+
+    this.reloadTimer = setInterval(() => {
+      this.reload().catch(error => log.error('Error reloading routing table', { error: error.message }));
+    }, RELOAD_INTERVAL_MS);
+  }
+
+  async reload() {
+    const [users, ranges] = await Promise.all([this.client.hGetAll(USERS_KEY), this.client.get(RANGES_KEY)]);
+    this.users = new Map(Object.entries(users).map(([id, shardId]) => [id, Number(shardId)]));
+    this.ranges = ranges ? JSON.parse(ranges) : [];
+  }
+
+  /**
+   * Write overrides saved elsewhere (e.g. an older gateway's routing file) unless Redis already has some
+   */
+  async seed({ users = {}, ranges = [] }) {
+    const existing = await this.client.exists([USERS_KEY, RANGES_KEY]);
+    if (existing > 0 || (Object.keys(users).length === 0 && ranges.length === 0)) {
+      return false;
+    }
+
+    const write = this.client.multi();
+    Object.entries(users).forEach(([id, shardId]) => write.hSet(USERS_KEY, id, String(shardId)));
+    write.set(RANGES_KEY, JSON.stringify(ranges));
+    await write.exec();
+    await this.changed();
+    log.info(`Seeded routing table: ${Object.keys(users).length} user override(s), ${ranges.length} range override(s)`);
+    return true;
+  }
+
+  // Reload here right away and tell every other copy
+  async changed() {
+    await this.reload();
+    await this.client.publish(CHANGED_CHANNEL, '1');
+  }
+
+  /**
+   * Resolve a user's shard: user override, then range override, then the ring
+   */
+  resolve(userId) {
+    const key = String(userId);
+    if (this.users.has(key)) {
+      return this.users.get(key);
+    }
+
+    const position = hashKey(key);
+    const range = this.ranges.find(r => position >= r.start && position < r.end);
+    return range ? range.shard_id : this.ring.getShardId(key);
+  }
+
+  async setUsers(userIds, shardId) {
+    if (userIds.length === 0) {
+      return;
+    }
+    await this.client.hSet(USERS_KEY, Object.fromEntries(userIds.map(id => [String(id), String(shardId)])));
+    await this.changed();
+  }
+
+  /**
+   * Put user overrides back to a saved snapshot (null means no override)
+   */
+  async restoreUsers(snapshot) {
+    const write = this.client.multi();
+    Object.entries(snapshot).forEach(([id, shardId]) => {
+      if (shardId === null) {
+        write.hDel(USERS_KEY, id);
+      } else {
+        write.hSet(USERS_KEY, id, String(shardId));
+      }
+    });
+    await write.exec();
+    await this.changed();
+  }
+
+  async setRange(range, shardId) {
+    await this.reload();
+    const ranges = this.ranges.filter(r => !(r.start === range.start && r.end === range.end));
+    ranges.push({ start: range.start, end: range.end, shard_id: shardId });
+    await this.restoreRanges(ranges);
+  }
+
+  async restoreRanges(ranges) {
+    await this.client.set(RANGES_KEY, JSON.stringify(ranges));
+    await this.changed();
+  }
+
+  toJSON() {
+    return { users: Object.fromEntries(this.users), ranges: this.ranges };
+  }
+
+  async quit() {
+    clearInterval(this.reloadTimer);
+    await this.subscriber.quit();
+    await this.client.quit();
+  }
+}
+
+module.exports = { RoutingTable };
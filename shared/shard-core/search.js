@@ -0,0 +1,59 @@
+/**
+ * Message Search (shard side)
+ * Full-text search over this shard's messages using the GIN index on
+ * to_tsvector('english', content). Only messages the user sent or received are
+ * searched; the gateway scatters the query to every relevant shard and merges by rank.
+ */
+
+const { createLogger } = require('./logger');
+
+const SEARCH_CONFIG = 'english';
+const MAX_RESULTS = 200;
+
+function createSearchRoutes(app, pool, shardId) {
+  const log = createLogger({ service: 'shard', shard: String(shardId), component: 'search' });
+
+  /**
+   * GET /api/search?user_id=&q=&with=&limit=
+   * Top `limit` matches in the user's conversations (optionally only the one with ?with=),
+   * each with a rank and a highlighted snippet (<mark>...</mark>)
+   */
+  app.get('/api/search', async (req, res) => {
+    try {
+      const { user_id, q, with: withUserId } = req.query;
+      const limit = Math.min(parseInt(req.query.limit) || 20, MAX_RESULTS);
+
+      if (!user_id || !q || !String(q).trim()) {
+        return res.status(400).json({ error: 'Missing required fields' });
+      }
+
+      const result = await pool.query(
+        `SELECT id, from_user_id, to_user_id, content, status, created_at, shard_id,
+                ts_rank(to_tsvector('${SEARCH_CONFIG}', content), query) AS rank,
+                ts_headline('${SEARCH_CONFIG}', content, query,
+                            'StartSel=<mark>, StopSel=</mark>, MaxFragments=2, MaxWords=20, MinWords=5') AS highlight
+         FROM messages, websearch_to_tsquery('${SEARCH_CONFIG}', $2) AS query
+         WHERE (from_user_id = $1 OR to_user_id = $1)
+           AND ($3::text IS NULL OR from_user_id = $3 OR to_user_id = $3)
+           AND deleted_at IS NULL
+           AND to_tsvector('${SEARCH_CONFIG}', content) @@ query
+         ORDER BY rank DESC, created_at DESC, id
+         LIMIT $4`,
+        [String(user_id), String(q), withUserId ? String(withUserId) : null, limit + 1]
+      );
+
+      const hits = result.rows.map(row => ({ ...row, rank: Number(row.rank) }));
+      log.info(`Search for user ${user_id}: ${Math.min(hits.length, limit)} hit(s)`);
+      res.json({
+        results: hits.slice(0, limit),
+        has_more: hits.length > limit,
+        shard_id: shardId
+      });
+    } catch (error) {
+      log.error('Error searching messages', { error: error.message });
+      res.status(500).json({ error: 'Failed to search messages', details: error.message });
+    }
+  });
+}
+
+module.exports = { createSearchRoutes };
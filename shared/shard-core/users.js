@@ -0,0 +1,235 @@
+/**
+ * User Routes
+ * Profiles of the users homed on this shard: paginated listing and name-prefix search
+ * (the gateway asks every shard for the same page and merges by id), lookup, creation
+ * under an ID the gateway allocated for this shard, profile updates and deactivation.
+ * Avatars are image attachments: the client uploads through the gateway and sends the
+ * attachment token, and the shard keeps the attachment metadata like a message would.
+ * Deactivated users keep their row (messages still refer to them) but leave listings
+ * and can no longer log in.
+ */
+
+const { hashPassword, verifyAttachmentToken } = require('./auth');
+const { createLogger } = require('./logger');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_NAME_LENGTH = 100;
+const MAX_ABOUT_LENGTH = 500;
+
+function toUser(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    about: row.about,
+    avatar: row.avatar,
+    created_at: row.created_at,
+    deactivated_at: row.deactivated_at
+  };
+}
+
+// Error message for an invalid name/about, or null
+function profileError({ name, about }) {
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH)) {
+    return `name must be 1-${MAX_NAME_LENGTH} characters`;
+  }
+  if (about !== undefined && about !== null && (typeof about !== 'string' || about.length > MAX_ABOUT_LENGTH)) {
+    return `about must be at most ${MAX_ABOUT_LENGTH} characters`;
+  }
+  return null;
+}
+
+// LIKE pattern matching names that start with `prefix`, wildcards in it taken literally
+function prefixPattern(prefix) {
+  return `${prefix.toLowerCase().replace(/[\\%_]/g, char => `\\${char}`)}%`;
+}
+
+function createUserRoutes(app, pool, shardId, privacy) {
+  const log = createLogger({ service: 'shard', shard: String(shardId), component: 'users' });
+
+  /**
+   * GET /api/users
+   * Active users on this shard in id order - ?limit, ?after (id cursor), ?q (name prefix), ?ids
+   */
+  app.get('/api/users', async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+      const after = req.query.after !== undefined ? parseInt(req.query.after) : null;
+      const q = req.query.q ? String(req.query.q).trim() : null;
+      const ids = req.query.ids ? String(req.query.ids).split(',').map(id => parseInt(id)).filter(Number.isInteger) : null;
+
+      if (Number.isNaN(after)) {
+        return res.status(400).json({ error: 'after must be a user ID' });
+      }
+
+      // One extra row tells whether there is another page
+      const result = await pool.query(
+        `SELECT * FROM users
+         WHERE deactivated_at IS NULL
+           AND ($1::int IS NULL OR id > $1)
+           AND ($2::text IS NULL OR lower(name) LIKE $2)
+           AND ($3::int[] IS NULL OR id = ANY($3))
+         ORDER BY id
+         LIMIT $4`,
+        [after, q ? prefixPattern(q) : null, ids, limit + 1]
+      );
+
+      const users = result.rows.slice(0, limit).map(toUser);
+      log.info(`Retrieved ${users.length} users`);
+      res.json({ users, has_more: result.rows.length > limit, shard_id: shardId });
+    } catch (error) {
+      log.error('Error fetching users', { error: error.message });
+      res.status(500).json({ error: 'Failed to fetch users', details: error.message });
+    }
+  });
+
+  /**
+   * GET /api/users/:userId
+   * One user's profile, deactivated or not
+   */
+  app.get('/api/users/:userId', async (req, res) => {
+    try {
+      const result = await pool.query('SELECT * FROM users WHERE id::text = $1', [req.params.userId]);
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      res.json({ user: toUser(result.rows[0]), shard_id: shardId });
+    } catch (error) {
+      log.error('Error fetching user', { error: error.message });
+      res.status(500).json({ error: 'Failed to fetch user', details: error.message });
+    }
+  });
+
+  /**
+   * POST /api/users
+   * Create a user under an ID the gateway allocated for this shard
+   * Body: { user_id, name, password, about? }
+   */
+  app.post('/api/users', async (req, res) => {
+    try {
+      const { user_id, name, password, about = null } = req.body;
+
+      if (!user_id || !name || !password) {
+        return res.status(400).json({ error: 'Missing required fields' });
+      }
+      const invalid = profileError({ name, about });
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+      if (String(password).length < 8) {
+        return res.status(400).json({ error: 'Password must be at least 8 characters' });
+      }
+
+      const passwordHash = await hashPassword(password);
+      const result = await pool.query(
+        `INSERT INTO users (id, name, shard_id, password_hash, about) VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (id) DO NOTHING
+         RETURNING *`,
+        [user_id, name.trim(), shardId, passwordHash, about]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(409).json({ error: 'User already exists' });
+      }
+
+      log.info(`User ${user_id} created`);
+      res.status(201).json({ user: toUser(result.rows[0]), shard_id: shardId });
+    } catch (error) {
+      log.error('Error creating user', { error: error.message });
+      res.status(500).json({ error: 'Failed to create user', details: error.message });
+    }
+  });
+
+  /**
+   * PATCH /api/users/:userId
+   * Update name, about and avatar - avatar_token is an image upload by `by_user_id` (the caller),
+   * `avatar: null` removes the avatar
+   */
+  app.patch('/api/users/:userId', async (req, res) => {
+    try {
+      const { name, about, avatar_token, avatar, by_user_id } = req.body;
+
+      const invalid = profileError({ name, about });
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+
+      let newAvatar;
+      if (avatar_token) {
+        let claims;
+        try {
+          claims = verifyAttachmentToken(avatar_token);
+        } catch (error) {
+          return res.status(400).json({ error: `Invalid avatar token: ${error.message}` });
+        }
+        if (String(claims.sub) !== String(by_user_id)) {
+          return res.status(400).json({ error: 'Avatar was uploaded by another user' });
+        }
+        if (claims.attachment.type !== 'image') {
+          return res.status(400).json({ error: 'Avatar must be an image' });
+        }
+        newAvatar = claims.attachment;
+      } else if (avatar === null) {
+        newAvatar = null;
+      }
+
+      // Only the fields present in the body change
+      const result = await pool.query(
+        `UPDATE users SET
+           name = CASE WHEN $2 THEN $3 ELSE name END,
+           about = CASE WHEN $4 THEN $5 ELSE about END,
+           avatar = CASE WHEN $6 THEN $7::jsonb ELSE avatar END,
+           updated_at = NOW()
+         WHERE id::text = $1 AND deactivated_at IS NULL
+         RETURNING *`,
+        [req.params.userId,
+          name !== undefined, name !== undefined ? name.trim() : null,
+          about !== undefined, about ?? null,
+          newAvatar !== undefined, newAvatar ?? null]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      log.info(`User ${req.params.userId} updated`);
+      res.json({ user: toUser(result.rows[0]), shard_id: shardId });
+    } catch (error) {
+      log.error('Error updating user', { error: error.message });
+      res.status(500).json({ error: 'Failed to update user', details: error.message });
+    }
+  });
+
+  /**
+   * DELETE /api/users/:userId
+   * Deactivate a user - the password is dropped, the row and their messages stay
+   */
+  app.delete('/api/users/:userId', async (req, res) => {
+    try {
+      const result = await pool.query(
+        `UPDATE users SET
+           deactivated_at = COALESCE(deactivated_at, NOW()),
+           password_hash = NULL,
+           updated_at = NOW()
+         WHERE id::text = $1
+         RETURNING *`,
+        [req.params.userId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      // Nobody may message a deactivated user
+      await privacy.ownerChanged(req.params.userId);
+
+      log.info(`User ${req.params.userId} deactivated`);
+      res.json({ user: toUser(result.rows[0]), shard_id: shardId });
+    } catch (error) {
+      log.error('Error deactivating user', { error: error.message });
+      res.status(500).json({ error: 'Failed to deactivate user', details: error.message });
+    }
+  });
+}
+
+module.exports = { createUserRoutes };